@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
+import { ORDER_STATUSES, PRIORITIES, SLA_STATES } from './orderStatus.js';
+import { REJECT_REASONS } from './rejects.js';
 
 dotenv.config();
 
@@ -15,9 +17,37 @@ mongoose.connection.on("connected", () => {
 
 const teamTrackingSchema = {
   total_completed_qty: { type: Number, default: 0 },
+  total_rejected_qty: { type: Number, default: 0 },
+  total_scrap_qty: { type: Number, default: 0 },
   completed_entries: [{
-    qty_completed: { type: Number, required: true },
-    timestamp: { type: Date, default: Date.now }
+    qty_completed: { type: Number, required: true, min: 0 },
+    // Units made in the same run that failed inspection or were scrapped
+    rejected_qty: { type: Number, default: 0, min: 0 },
+    scrap_qty: { type: Number, default: 0, min: 0 },
+    reason_code: { type: String, enum: REJECT_REASONS },
+    timestamp: { type: Date, default: Date.now },
+    recorded_by: {
+      user_id: String,
+      name: String
+    },
+    // Voided entries stay for the record but no longer count toward the total
+    voided_at: Date,
+    voided_by: {
+      user_id: String,
+      name: String
+    },
+    void_reason: String,
+    corrections: [{
+      _id: false,
+      qty_before: Number,
+      qty_after: Number,
+      reason: String,
+      corrected_by: {
+        user_id: String,
+        name: String
+      },
+      corrected_at: { type: Date, default: Date.now }
+    }]
   }],
   status: {
     type: String,
@@ -26,21 +56,85 @@ const teamTrackingSchema = {
   }
 }
 
+// Workflow stages after the section team's own production (tracked in team_tracking).
+// Each stage can only take quantity the stage before it has completed.
+const stageTrackingSchema = [{
+  key: { type: String, required: true },
+  name: String,
+  team: { type: String, required: true },
+  total_completed_qty: { type: Number, default: 0 },
+  completed_entries: [{
+    qty_completed: { type: Number, required: true },
+    timestamp: { type: Date, default: Date.now },
+    recorded_by: {
+      user_id: String,
+      name: String
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['Pending', 'Completed'],
+    default: 'Pending'
+  }
+}];
+
+// Ordered quantity of an item: a whole number of at least one
+const quantityField = {
+  type: Number,
+  required: true,
+  min: [1, 'Quantity must be at least 1'],
+  validate: { validator: Number.isInteger, message: 'Quantity must be a whole number' }
+};
+
+// Fields every item carries whatever its section
+const trackedItemFields = {
+  team: String,
+  status: {
+    type: String,
+    enum: ['Pending', 'Done'],
+    default: 'Pending'
+  },
+  team_tracking: teamTrackingSchema,
+  workflow_id: { type: mongoose.Schema.Types.ObjectId, ref: 'WorkflowTemplate' },
+  stages: stageTrackingSchema,
+  dispatched_qty: { type: Number, default: 0 },
+  delivered_qty: { type: Number, default: 0 },
+  // Team deadline for this item; falls back to the order's due_date
+  due_date: Date,
+  sla_status: { type: String, enum: SLA_STATES, default: 'on_track' }
+};
+
 const orderSchema = new mongoose.Schema({
   order_number: { type: String, required: true, unique: true },
 
   dispatcher_name: { type: String, required: true },
+  customer_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', index: true },
+  // Snapshot of the customer's name when the order was written
   customer_name: { type: String, required: true },
   created_at: { type: Date, default: Date.now },
   order_status: {
     type: String,
-    enum: ['Pending', 'Completed'],
+    enum: ORDER_STATUSES,
     default: 'Pending'
   },
+  completed_at: { type: Date, default: null },
+  due_date: { type: Date, default: null },
+  priority: {
+    type: String,
+    enum: PRIORITIES,
+    default: 'normal'
+  },
+  // Soft delete: trashed orders keep their progress until purged
+  deleted_at: { type: Date, default: null, index: true },
+  deleted_by: {
+    user_id: String,
+    name: String
+  },
   order_details: {
     glass: [{
-      glass_name: { type: String,  },
-      quantity: { type: Number, },
+      product_id: { type: mongoose.Schema.Types.ObjectId },
+      glass_name: { type: String, required: true, trim: true },
+      quantity: quantityField,
       weight: String,
       neck_size: String,
       decoration: String,
@@ -49,61 +143,61 @@ const orderSchema = new mongoose.Schema({
         type: { type: String },
         decoration_number: String
       },
-      team: String,
-      status: {
-        type: String,
-        enum: ['Pending', 'Done'],
-        default: 'Pending'
-      },
-      team_tracking: teamTrackingSchema
+      ...trackedItemFields
     }],
     caps: [{
-      cap_name: { type: String, },
+      product_id: { type: mongoose.Schema.Types.ObjectId },
+      cap_name: { type: String, required: true, trim: true },
       neck_size: String,
-      quantity: { type: Number,  },
+      quantity: quantityField,
       process: String,
       material: String,
-      team: String,
-      status: {
-        type: String,
-        enum: ['Pending', 'Done'],
-        default: 'Pending'
-      },
-      team_tracking: teamTrackingSchema
+      ...trackedItemFields
     }],
     boxes: [{
-      box_name: { type: String, },
-      quantity: { type: Number,  },
+      product_id: { type: mongoose.Schema.Types.ObjectId },
+      box_name: { type: String, required: true, trim: true },
+      quantity: quantityField,
       approval_code: String,
-      team: String,
-      status: {
-        type: String,
-        enum: ['Pending', 'Done'],
-        default: 'Pending'
-      },
-      team_tracking: teamTrackingSchema
+      ...trackedItemFields
     }],
     pumps: [{
-      pump_name: { type: String,  },
+      product_id: { type: mongoose.Schema.Types.ObjectId },
+      pump_name: { type: String, required: true, trim: true },
       neck_type: String,
-      quantity: { type: Number, },
-      team: String,
-      status: {
-        type: String,
-        enum: ['Pending', 'Done'],
-        default: 'Pending'
-      },
-      team_tracking: teamTrackingSchema
+      quantity: quantityField,
+      ...trackedItemFields
     }]
   }
 }, {
   minimize: false,
-  timestamps: true
+  timestamps: true,
+  // Every save bumps __v and fails with a VersionError if another write got there first
+  optimisticConcurrency: true
 });
 
+// Listing sorts and live/past filters
+orderSchema.index({ deleted_at: 1, created_at: -1 });
+orderSchema.index({ deleted_at: 1, order_status: 1, created_at: -1 });
 
+const Order = mongoose.model('Order', orderSchema);
 
+// Adds an items array for a section owned by a team created at runtime. Built-in
+// sections keep their own fields above.
+export const registerOrderSection = (section, nameField) => {
+  if (orderSchema.path(`order_details.${section}`)) return;
 
-const Order = mongoose.model('Order', orderSchema);
+  orderSchema.add({
+    order_details: {
+      [section]: [{
+        product_id: { type: mongoose.Schema.Types.ObjectId },
+        [nameField]: { type: String, required: true, trim: true },
+        quantity: quantityField,
+        description: String,
+        ...trackedItemFields
+      }]
+    }
+  });
+};
 
 export default Order
\ No newline at end of file
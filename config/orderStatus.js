@@ -0,0 +1,38 @@
+// Order lifecycle. "Completed" keeps its original meaning: production has finished
+// and the order is ready to dispatch.
+export const ORDER_STATUSES = [
+  'Pending',
+  'In Production',
+  'Completed',
+  'Partially Dispatched',
+  'Dispatched',
+  'Delivered',
+  'Cancelled'
+];
+
+// Statuses in which every team has finished its items
+export const PRODUCTION_DONE_STATUSES = ['Completed', 'Partially Dispatched', 'Dispatched', 'Delivered'];
+
+// Orders no longer waiting on production (the "past orders" list)
+export const CLOSED_STATUSES = [...PRODUCTION_DONE_STATUSES, 'Cancelled'];
+
+// Allowed moves between statuses. Most moves are derived from progress and shipments;
+// cancelling and reopening are the only ones made by hand.
+export const STATUS_TRANSITIONS = {
+  'Pending': ['In Production', 'Completed', 'Cancelled'],
+  'In Production': ['Pending', 'Completed', 'Cancelled'],
+  'Completed': ['Pending', 'In Production', 'Partially Dispatched', 'Dispatched', 'Cancelled'],
+  'Partially Dispatched': ['Completed', 'Dispatched', 'In Production', 'Cancelled'],
+  'Dispatched': ['Completed', 'Partially Dispatched', 'Delivered'],
+  'Delivered': [],
+  'Cancelled': ['Pending', 'In Production', 'Completed', 'Partially Dispatched']
+};
+
+export const canTransition = (from, to) =>
+  from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Order priorities, lowest first; the index is used as the urgency rank
+export const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+// Deadline state of an item, maintained by the SLA monitor
+export const SLA_STATES = ['on_track', 'at_risk', 'overdue'];
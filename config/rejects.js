@@ -0,0 +1,24 @@
+import { TEAM_SECTIONS, normalizeTeam } from './teams.js';
+
+// Reason codes a team can give for rejected or scrapped units
+export const REJECT_REASONS = [
+  'breakage',
+  'dimension',
+  'surface_defect',
+  'decoration_defect',
+  'color_mismatch',
+  'contamination',
+  'machine_setup',
+  'other'
+];
+
+// REJECTS_COUNT_TOWARD_COMPLETION is "true" for every team, or a comma separated list of
+// teams (e.g. "glass,cap") whose rejected and scrapped units count toward the ordered
+// quantity. By default only good units complete an item.
+export const rejectsCountTowardCompletion = (section) => {
+  const setting = (process.env.REJECTS_COUNT_TOWARD_COMPLETION || '').trim().toLowerCase();
+  if (!setting || setting === 'false') return false;
+  if (setting === 'true') return true;
+
+  return setting.split(',').some(value => TEAM_SECTIONS[normalizeTeam(value)] === section);
+};
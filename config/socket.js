@@ -0,0 +1,123 @@
+import { TEAMS, TEAM_SECTIONS } from './teams.js';
+import { recordEvents, toWireFormat, orderIdOf } from '../services/eventLogService.js';
+import { createMemoryAdapter } from './socketAdapter.js';
+
+// The Socket.IO server is created in server.mjs; controllers emit through it. Broadcasts
+// go through the adapter so they reach sockets connected to other server processes.
+let io = null;
+let adapter = null;
+
+export const setIO = async (server, socketAdapter = createMemoryAdapter()) => {
+  io = server;
+  adapter = socketAdapter;
+  await adapter.attach(server);
+};
+
+export const getIO = () => io;
+
+export const getSocketAdapter = () => adapter;
+
+// Every socket also joins a room of its own user, for messages meant for one person
+export const userRoom = (userId) => `user:${userId}`;
+
+// Sends to the rooms on every server process without logging the event, for
+// short-lived state such as who is connected
+export const sendToRooms = (event, payload, rooms) => {
+  if (!adapter) return Promise.resolve();
+  return adapter.broadcast(rooms, event, [payload]);
+};
+
+// Team rooms that have at least one item, or one workflow stage, in the order
+export const teamsForOrder = (order) => {
+  const details = order?.order_details || {};
+  const sectionTeams = TEAMS.filter(team => Array.isArray(details[TEAM_SECTIONS[team]]) && details[TEAM_SECTIONS[team]].length > 0);
+  const stageTeams = Object.values(TEAM_SECTIONS).flatMap(section =>
+    (details[section] || []).flatMap(item => (item.stages || []).map(stage => stage.team))
+  );
+  return [...new Set([...sectionTeams, ...stageTeams])];
+};
+
+// Events waiting to be logged and sent. Whatever queues up while a batch is being
+// logged goes out as the next batch, so a burst costs two database writes rather than
+// two per event, and clients still receive sequence numbers in order.
+let queue = [];
+let flushing = false;
+
+// Latest queued event per order id, for confirmations that must wait until it is sent
+const pendingOrders = new Map();
+
+const flushQueue = async () => {
+  let batch = [];
+  try {
+    while (queue.length > 0) {
+      batch = queue;
+      queue = [];
+      const seqs = await recordEvents(batch.map(({ event, snapshot, rooms }) => ({ event, payload: snapshot, rooms })));
+
+      for (const [index, { event, snapshot, rooms, done }] of batch.entries()) {
+        const seq = seqs[index];
+        try {
+          console.log(`📤 Emitting ${event} #${seq} to rooms: ${rooms.join(', ')}`);
+          await adapter.broadcast(rooms, event, [snapshot, { seq }]);
+        } catch (error) {
+          // Logged events can still be replayed, so a failed send must not hold up the ones after it
+          console.error(`❌ Failed to send ${event}:`, error);
+        }
+        done();
+      }
+      batch = [];
+    }
+  } finally {
+    // If the flush itself failed, settle what it never got to so nobody waits on it forever
+    const unsent = [...batch, ...queue];
+    queue = [];
+    flushing = false;
+    unsent.forEach(({ done }) => done());
+  }
+};
+
+// Emits to exactly the given rooms; a socket in several of them receives it once. The
+// event is logged first and its sequence number sent as a second argument, { seq },
+// which clients acknowledge and send back on reconnect to catch up on missed events.
+// Resolves once the event has been sent.
+export const emitToRooms = (event, payload, rooms) => {
+  if (!io) {
+    console.warn(`⚠️ Socket.IO not initialised, dropping ${event}`);
+    return Promise.resolve();
+  }
+
+  // Snapshot now: the caller may keep changing the order document after this returns
+  const snapshot = toWireFormat(payload);
+  const sent = new Promise(done => queue.push({ event, snapshot, rooms, done }));
+
+  const orderId = orderIdOf(snapshot)?.toString();
+  if (orderId) {
+    pendingOrders.set(orderId, sent);
+    sent.then(() => {
+      if (pendingOrders.get(orderId) === sent) pendingOrders.delete(orderId);
+    });
+  }
+
+  if (!flushing) {
+    flushing = true;
+    flushQueue().catch(error => console.error('❌ Socket event queue failed:', error));
+  }
+  return sent;
+};
+
+// Resolves once every event this process has queued about the order has been sent
+export const orderEventsSent = (orderId) => pendingOrders.get(orderId?.toString()) || Promise.resolve();
+
+// Emits to the given team rooms plus dispatchers
+export const emitToTeams = (event, payload, teams = []) =>
+  emitToRooms(event, payload, [...new Set([...teams, 'dispatchers'])]);
+
+export const broadcastOrderEvent = (event, order, meta = {}, teams = teamsForOrder(order)) =>
+  emitToTeams(event, {
+    order,
+    _meta: {
+      ...meta,
+      timestamp: new Date().toISOString(),
+      targetTeams: teams
+    }
+  }, teams);
@@ -0,0 +1,212 @@
+import { randomUUID } from 'crypto';
+
+// Room broadcasts and the connected-socket list go through an adapter so several server
+// processes can share them. Every adapter has the same shape:
+//   serverId                       id of this process
+//   attach(io)                     starts delivering broadcasts from other processes
+//   broadcast(rooms, event, args)  emits to the rooms on every process
+//   addSocket(info)                adds or replaces a socket, info: { socketId, userId, rooms, ... }
+//   removeSocket(socketId)
+//   listSockets()                  sockets on every live process, each with its serverId
+//   notifyServers(topic)           tells the other processes something changed, e.g. teams
+//   onServerNotice(topic, handler) calls handler() when another process sends that topic
+//   close()
+
+// Single process: rooms and presence live in this process only
+export const createMemoryAdapter = () => {
+  const sockets = new Map();
+  let io = null;
+
+  return {
+    name: 'memory',
+    serverId: 'local',
+    attach(server) {
+      io = server;
+    },
+    async broadcast(rooms, event, args) {
+      if (rooms.length === 0) return;
+      io.to(rooms).emit(event, ...args);
+    },
+    async addSocket(info) {
+      sockets.set(info.socketId, { ...info, serverId: 'local' });
+    },
+    async removeSocket(socketId) {
+      sockets.delete(socketId);
+    },
+    async listSockets() {
+      return [...sockets.values()];
+    },
+    // There are no other processes to tell
+    async notifyServers() {},
+    onServerNotice() {},
+    async close() {}
+  };
+};
+
+// SOCKET_HEARTBEAT_SECONDS: how often a process reports itself alive. Sockets of a process
+// that missed three heartbeats (crashed or scaled down) are dropped from presence.
+export const getHeartbeatMs = () => {
+  const seconds = Number(process.env.SOCKET_HEARTBEAT_SECONDS);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : 10) * 1000;
+};
+
+// Several processes sharing a store. `store` is the Redis-shaped subset below, provided by
+// createRedisStore in production or createStandInStore when trying it out locally:
+//   publish(channel, message), subscribe(channel, listener),
+//   hSet(key, field, value), hDel(key, field), hGetAll(key), del(key), quit()
+export const createSharedAdapter = (store, { prefix = 'pragati:sockets', heartbeatMs = getHeartbeatMs() } = {}) => {
+  const serverId = randomUUID();
+  const channel = `${prefix}:broadcast`;
+  const serversKey = `${prefix}:servers`;
+  const presenceKey = (id) => `${prefix}:presence:${id}`;
+  const noticeChannel = `${prefix}:notices`;
+  const noticeHandlers = new Map();
+  let io = null;
+  let heartbeat = null;
+
+  const beat = () => store.hSet(serversKey, serverId, String(Date.now()))
+    .catch(error => console.error('❌ Socket adapter heartbeat failed:', error));
+
+  return {
+    name: 'shared',
+    serverId,
+    async attach(server) {
+      io = server;
+      await store.subscribe(channel, (raw) => {
+        const { origin, rooms, event, args } = JSON.parse(raw);
+        if (origin === serverId) return;
+        io.local.to(rooms).emit(event, ...args);
+      });
+      await store.subscribe(noticeChannel, (raw) => {
+        const { origin, topic } = JSON.parse(raw);
+        if (origin === serverId) return;
+        (noticeHandlers.get(topic) || []).forEach(handler => handler());
+      });
+      await beat();
+      heartbeat = setInterval(beat, heartbeatMs);
+      heartbeat.unref?.();
+    },
+    // Local sockets get the event directly; other processes get it through the store
+    async broadcast(rooms, event, args) {
+      if (rooms.length === 0) return;
+      io.local.to(rooms).emit(event, ...args);
+      await store.publish(channel, JSON.stringify({ origin: serverId, rooms, event, args }));
+    },
+    async addSocket(info) {
+      await store.hSet(presenceKey(serverId), info.socketId, JSON.stringify({ ...info, serverId }));
+    },
+    async removeSocket(socketId) {
+      await store.hDel(presenceKey(serverId), socketId);
+    },
+    async listSockets() {
+      const servers = await store.hGetAll(serversKey);
+      const cutoff = Date.now() - heartbeatMs * 3;
+      const lists = await Promise.all(Object.entries(servers).map(async ([id, lastBeat]) => {
+        if (Number(lastBeat) >= cutoff) {
+          return Object.values(await store.hGetAll(presenceKey(id))).map(entry => JSON.parse(entry));
+        }
+        // The process is gone; clear what it left behind
+        await Promise.all([store.hDel(serversKey, id), store.del(presenceKey(id))]);
+        return [];
+      }));
+      return lists.flat();
+    },
+    async notifyServers(topic) {
+      await store.publish(noticeChannel, JSON.stringify({ origin: serverId, topic }));
+    },
+    onServerNotice(topic, handler) {
+      noticeHandlers.set(topic, [...(noticeHandlers.get(topic) || []), handler]);
+    },
+    async close() {
+      clearInterval(heartbeat);
+      await Promise.all([store.hDel(serversKey, serverId), store.del(presenceKey(serverId))]);
+      await store.quit();
+    }
+  };
+};
+
+// REDIS_URL store. The redis package is an optional dependency, only loaded when
+// SOCKET_ADAPTER=redis; installs that skip optional dependencies cannot use this store.
+export const createRedisStore = async (url) => {
+  let redis;
+  try {
+    redis = await import('redis');
+  } catch {
+    throw new Error('SOCKET_ADAPTER=redis needs the redis package, an optional dependency that was not installed');
+  }
+
+  const client = redis.createClient({ url });
+  const subscriber = client.duplicate();
+  client.on('error', error => console.error('❌ Redis error:', error));
+  subscriber.on('error', error => console.error('❌ Redis subscriber error:', error));
+  await Promise.all([client.connect(), subscriber.connect()]);
+
+  return {
+    publish: (channel, message) => client.publish(channel, message),
+    subscribe: (channel, listener) => subscriber.subscribe(channel, listener),
+    hSet: (key, field, value) => client.hSet(key, field, value),
+    hDel: (key, field) => client.hDel(key, field),
+    hGetAll: (key) => client.hGetAll(key),
+    del: (key) => client.del(key),
+    quit: () => Promise.all([client.quit(), subscriber.quit()])
+  };
+};
+
+// In-memory stand-in for the shared store. Adapters created from the same `backing` behave
+// like separate processes talking to one Redis, so the shared code path can be tried
+// locally without running one (SOCKET_ADAPTER=standin).
+export const createStandInStore = (backing = { hashes: new Map(), listeners: new Map() }) => {
+  const subscriptions = [];
+  const hash = (key) => {
+    if (!backing.hashes.has(key)) backing.hashes.set(key, new Map());
+    return backing.hashes.get(key);
+  };
+
+  return {
+    backing,
+    async publish(channel, message) {
+      // Delivered asynchronously, as over a network
+      (backing.listeners.get(channel) || []).forEach(listener => setImmediate(() => listener(message)));
+    },
+    async subscribe(channel, listener) {
+      if (!backing.listeners.has(channel)) backing.listeners.set(channel, []);
+      backing.listeners.get(channel).push(listener);
+      subscriptions.push([channel, listener]);
+    },
+    async hSet(key, field, value) {
+      hash(key).set(field, value);
+    },
+    async hDel(key, field) {
+      hash(key).delete(field);
+    },
+    async hGetAll(key) {
+      return Object.fromEntries(hash(key));
+    },
+    async del(key) {
+      backing.hashes.delete(key);
+    },
+    async quit() {
+      subscriptions.forEach(([channel, listener]) => {
+        const listeners = backing.listeners.get(channel) || [];
+        backing.listeners.set(channel, listeners.filter(entry => entry !== listener));
+      });
+    }
+  };
+};
+
+// SOCKET_ADAPTER=memory (default), redis (with REDIS_URL and the optional redis package)
+// when running several instances, or standin to run the shared adapter against the
+// in-memory store
+export const createSocketAdapter = async () => {
+  const type = (process.env.SOCKET_ADAPTER || 'memory').toLowerCase();
+
+  if (type === 'memory') return createMemoryAdapter();
+  if (type === 'standin') return createSharedAdapter(createStandInStore());
+  if (type === 'redis') {
+    if (!process.env.REDIS_URL) {
+      throw new Error('SOCKET_ADAPTER=redis requires REDIS_URL');
+    }
+    return createSharedAdapter(await createRedisStore(process.env.REDIS_URL));
+  }
+  throw new Error(`Unknown SOCKET_ADAPTER "${type}"; use memory, redis or standin`);
+};
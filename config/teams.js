@@ -0,0 +1,78 @@
+// Production teams and the order_details section each one works on. The lists below are
+// filled from the teams collection at startup (services/teamService.js) and updated in
+// place, so modules can keep importing them directly.
+//
+// Sections of deactivated teams stay in TEAM_SECTIONS, SECTIONS and ITEM_NAME_FIELDS so
+// reports, exports and completion still count their items on older orders. The team
+// lists and ACTIVE_SECTIONS hold active teams only.
+export const TEAM_SECTIONS = {};
+
+export const TEAMS = [];
+
+export const SECTIONS = [];
+
+// Sections new items can be added to
+export const ACTIVE_SECTIONS = [];
+
+// Field holding the product name of an item in each section
+export const ITEM_NAME_FIELDS = {};
+
+// Teams that only work on later workflow stages and own no order section
+export const STAGE_TEAMS = [];
+
+export const ALL_TEAMS = [];
+
+// Sections with their own fields on the order schema; other sections get generic items
+export const BUILT_IN_SECTIONS = ['glass', 'caps', 'boxes', 'pumps'];
+
+// Used to seed an empty teams collection, and until it has been loaded
+export const DEFAULT_TEAMS = [
+  { key: 'glass', name: 'Glass', section: 'glass', item_name_field: 'glass_name' },
+  { key: 'cap', name: 'Caps', section: 'caps', item_name_field: 'cap_name' },
+  { key: 'box', name: 'Boxes', section: 'boxes', item_name_field: 'box_name' },
+  { key: 'pump', name: 'Pumps', section: 'pumps', item_name_field: 'pump_name' },
+  { key: 'decoration', name: 'Decoration', section: null },
+  { key: 'inspection', name: 'Inspection', section: null },
+  { key: 'packing', name: 'Packing', section: null }
+];
+
+const replaceArray = (target, values) => target.splice(0, target.length, ...values);
+
+const replaceObject = (target, values) => {
+  Object.keys(target).forEach(key => delete target[key]);
+  Object.assign(target, values);
+};
+
+// `teams` includes deactivated ones; a team without `active` counts as active
+export const setTeams = (teams) => {
+  const sectionTeams = teams.filter(team => team.section);
+  const activeTeams = teams.filter(team => team.active !== false);
+  const activeSectionTeams = activeTeams.filter(team => team.section);
+
+  replaceObject(TEAM_SECTIONS, Object.fromEntries(sectionTeams.map(team => [team.key, team.section])));
+  replaceObject(ITEM_NAME_FIELDS, Object.fromEntries(sectionTeams.map(team => [team.section, team.item_name_field])));
+  replaceArray(SECTIONS, sectionTeams.map(team => team.section));
+  replaceArray(ACTIVE_SECTIONS, activeSectionTeams.map(team => team.section));
+  replaceArray(TEAMS, activeSectionTeams.map(team => team.key));
+  replaceArray(STAGE_TEAMS, activeTeams.filter(team => !team.section).map(team => team.key));
+  replaceArray(ALL_TEAMS, activeTeams.map(team => team.key));
+};
+
+setTeams(DEFAULT_TEAMS);
+
+export const isTeam = (value) => ALL_TEAMS.includes(value);
+
+export const isSection = (value) => SECTIONS.includes(value);
+
+export const teamForSection = (section) =>
+  Object.keys(TEAM_SECTIONS).find(team => TEAM_SECTIONS[team] === section);
+
+// Accepts loose names like "Glass Team" or "caps" and returns the team key
+export const normalizeTeam = (value) => {
+  if (!value) return null;
+  const normalized = value.toString().toLowerCase().trim();
+  if (TEAM_SECTIONS[normalized]) return normalized;
+  return TEAMS.find(team => normalized.includes(team)) ||
+    TEAMS.find(team => TEAM_SECTIONS[team] === normalized) ||
+    null;
+};
@@ -0,0 +1,85 @@
+import User from '../models/User.js';
+import { signToken } from '../middleware/auth.js';
+import { sendError, sendUnexpectedError } from '../utils/errors.js';
+
+export const login = async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const user = await User.findOne({ username: username.toLowerCase().trim() }).select('+password_hash');
+    if (!user || !user.active || !(await user.comparePassword(password))) {
+      return sendError(res, 401, 'Invalid username or password');
+    }
+
+    user.last_login_at = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      token: signToken(user),
+      user
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    sendError(res, 500, error.message);
+  }
+};
+
+export const getCurrentUser = async (req, res) => {
+  res.json({ user: req.user });
+};
+
+export const createUser = async (req, res) => {
+  try {
+    const { username, name, password, role, team } = req.body;
+
+    const user = new User({ username, name, role, team: team || null });
+    await user.setPassword(password);
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: '✅ User Created Successfully',
+      user
+    });
+  } catch (error) {
+    console.error('User creation error:', error);
+    sendUnexpectedError(res, error, 'Username already exists');
+  }
+};
+
+export const getUsers = async (req, res) => {
+  try {
+    const users = await User.find().sort({ role: 1, username: 1 });
+    res.json(users);
+  } catch (error) {
+    sendError(res, 500, error.message);
+  }
+};
+
+export const updateUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+
+    const { name, password, role, team, active } = req.body;
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) user.role = role;
+    if (team !== undefined) user.team = team || null;
+    if (active !== undefined) user.active = Boolean(active);
+    if (password) await user.setPassword(password);
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('User update error:', error);
+    sendUnexpectedError(res, error);
+  }
+};
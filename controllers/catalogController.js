@@ -0,0 +1,123 @@
+import { CATALOG_MODELS } from '../models/Catalog.js';
+import { escapeRegex } from '../utils/orderQuery.js';
+import { sendError, sendUnexpectedError } from '../utils/errors.js';
+
+// Resolves :family (glass, caps, boxes, pumps) to its model or sends a 404
+const catalogModelFor = (req, res) => {
+  const { family } = req.params;
+  const Model = Object.hasOwn(CATALOG_MODELS, family) ? CATALOG_MODELS[family] : null;
+  if (!Model) {
+    sendError(res, 404, `Unknown product family. Use one of: ${Object.keys(CATALOG_MODELS).join(', ')}`);
+  }
+  return Model;
+};
+
+// Fields a request may set on a product; name_key, timestamps and ids are managed by the model
+const SHARED_FIELDS = ['name', 'description', 'active'];
+const FAMILY_FIELDS = {
+  glass: ['neck_size', 'weight'],
+  caps: ['neck_size', 'processes', 'materials'],
+  boxes: ['dimensions'],
+  pumps: ['neck_type']
+};
+
+const editableFields = (family, body = {}) => {
+  const allowed = [...SHARED_FIELDS, ...(FAMILY_FIELDS[family] || [])];
+  return Object.fromEntries(Object.entries(body).filter(([key]) => allowed.includes(key)));
+};
+
+const sendCatalogError = (res, error, action) => {
+  console.error(`Catalog ${action} error:`, error);
+  sendUnexpectedError(res, error, 'A product with this name already exists');
+};
+
+export const getProducts = async (req, res) => {
+  const Model = catalogModelFor(req, res);
+  if (!Model) return;
+
+  try {
+    const query = {};
+    if (req.query.active !== 'all') query.active = req.query.active !== 'false';
+    if (req.query.search) query.name = new RegExp(escapeRegex(req.query.search.toString()), 'i');
+
+    const products = await Model.find(query).sort({ name: 1 }).lean();
+    res.json(products);
+  } catch (error) {
+    sendCatalogError(res, error, 'list');
+  }
+};
+
+export const getProduct = async (req, res) => {
+  const Model = catalogModelFor(req, res);
+  if (!Model) return;
+
+  try {
+    const product = await Model.findById(req.params.id).lean();
+    if (!product) {
+      return sendError(res, 404, 'Product not found');
+    }
+    res.json(product);
+  } catch (error) {
+    sendCatalogError(res, error, 'fetch');
+  }
+};
+
+export const createProduct = async (req, res) => {
+  const Model = catalogModelFor(req, res);
+  if (!Model) return;
+
+  try {
+    const product = await Model.create(editableFields(req.params.family, req.body));
+    res.status(201).json({
+      success: true,
+      message: '✅ Product Created Successfully',
+      product
+    });
+  } catch (error) {
+    sendCatalogError(res, error, 'create');
+  }
+};
+
+export const updateProduct = async (req, res) => {
+  const Model = catalogModelFor(req, res);
+  if (!Model) return;
+
+  try {
+    const product = await Model.findById(req.params.id);
+    if (!product) {
+      return sendError(res, 404, 'Product not found');
+    }
+
+    product.set(editableFields(req.params.family, req.body));
+    await product.save();
+
+    res.json({
+      success: true,
+      message: 'Product updated successfully',
+      product
+    });
+  } catch (error) {
+    sendCatalogError(res, error, 'update');
+  }
+};
+
+// Products stay referenced by existing orders, so deleting only deactivates them
+export const deleteProduct = async (req, res) => {
+  const Model = catalogModelFor(req, res);
+  if (!Model) return;
+
+  try {
+    const product = await Model.findByIdAndUpdate(req.params.id, { active: false }, { new: true });
+    if (!product) {
+      return sendError(res, 404, 'Product not found');
+    }
+
+    res.json({
+      success: true,
+      message: 'Product deactivated successfully',
+      product
+    });
+  } catch (error) {
+    sendCatalogError(res, error, 'delete');
+  }
+};
@@ -0,0 +1,123 @@
+import Order from '../config/db.js';
+import Comment from '../models/Comment.js';
+import { emitToTeams, teamsForOrder } from '../config/socket.js';
+import { actorFromUser } from '../services/auditService.js';
+import { canViewOrder, resolveMentions } from '../services/commentService.js';
+import { notifyMentions } from '../services/notificationService.js';
+import { findOrderItem } from '../utils/orderItems.js';
+import { sendError, sendUnexpectedError } from '../utils/errors.js';
+
+// Loads the order behind :orderNumber, answering 404 or 403 itself when it cannot be used
+const findVisibleOrder = async (req, res) => {
+  const order = await Order.findOne({ order_number: req.params.orderNumber, deleted_at: null }).lean();
+  if (!order) {
+    sendError(res, 404, 'Order not found');
+    return null;
+  }
+  if (!canViewOrder(req.user, order)) {
+    sendError(res, 403, 'Your team has no work on this order');
+    return null;
+  }
+  return order;
+};
+
+// ?item_id= limits the list to one item's thread, ?item_id=none to the order's own thread
+export const getComments = async (req, res) => {
+  try {
+    const order = await findVisibleOrder(req, res);
+    if (!order) return;
+
+    const query = { order_id: order._id, deleted_at: null };
+    if (req.query.item_id === 'none') {
+      query.item_id = null;
+    } else if (req.query.item_id) {
+      query.item_id = req.query.item_id;
+    }
+
+    const comments = await Comment.find(query).sort({ created_at: 1, _id: 1 }).lean();
+    res.json({
+      order_number: order.order_number,
+      comments
+    });
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    sendUnexpectedError(res, error);
+  }
+};
+
+export const addComment = async (req, res) => {
+  try {
+    const order = await findVisibleOrder(req, res);
+    if (!order) return;
+
+    const { body, item_id } = req.body;
+    const found = item_id ? findOrderItem(order.order_details, item_id) : null;
+    if (item_id && !found) {
+      return sendError(res, 404, `Item ${item_id} not found in order`);
+    }
+
+    const { mentions, unresolved } = await resolveMentions(body, order);
+    const comment = await Comment.create({
+      order_id: order._id,
+      order_number: order.order_number,
+      section: found?.section || null,
+      item_id: found?.item._id || null,
+      body,
+      author: actorFromUser(req.user),
+      mentions
+    });
+
+    emitToTeams('comment-added', {
+      orderId: order._id,
+      orderNumber: order.order_number,
+      comment,
+      timestamp: new Date().toISOString()
+    }, teamsForOrder(order));
+    notifyMentions(comment, order, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: '✅ Comment Added Successfully',
+      comment,
+      unresolved_mentions: unresolved
+    });
+  } catch (error) {
+    console.error('Error adding comment:', error);
+    sendUnexpectedError(res, error);
+  }
+};
+
+// Authors can remove their own comments; admins can remove any
+export const deleteComment = async (req, res) => {
+  try {
+    const order = await findVisibleOrder(req, res);
+    if (!order) return;
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, order_id: order._id, deleted_at: null });
+    if (!comment) {
+      return sendError(res, 404, 'Comment not found');
+    }
+    if (comment.author.user_id !== req.user.userId && req.user.role !== 'admin') {
+      return sendError(res, 403, 'Only the author or an admin can delete this comment');
+    }
+
+    comment.deleted_at = new Date();
+    await comment.save();
+
+    emitToTeams('comment-deleted', {
+      orderId: order._id,
+      orderNumber: order.order_number,
+      commentId: comment._id,
+      itemId: comment.item_id,
+      timestamp: new Date().toISOString()
+    }, teamsForOrder(order));
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    sendUnexpectedError(res, error);
+  }
+};
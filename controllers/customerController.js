@@ -0,0 +1,123 @@
+import Customer from '../models/Customer.js';
+import Order from '../config/db.js';
+import { escapeRegex } from '../utils/orderQuery.js';
+import { orderCompletion } from '../utils/orderItems.js';
+import { CLOSED_STATUSES } from '../config/orderStatus.js';
+import { sendError, sendUnexpectedError } from '../utils/errors.js';
+
+// Fields a request may set on a customer
+const EDITABLE_FIELDS = ['name', 'contact_person', 'phone', 'email', 'gst_number', 'addresses', 'notes', 'active'];
+
+const editableFields = (body = {}) =>
+  Object.fromEntries(Object.entries(body).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+
+const sendCustomerError = (res, error, action) => {
+  console.error(`Customer ${action} error:`, error);
+  sendUnexpectedError(res, error, 'A customer with this GST number already exists');
+};
+
+export const getCustomers = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.active !== 'all') query.active = req.query.active !== 'false';
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search.toString()), 'i');
+      query.$or = [{ name: pattern }, { contact_person: pattern }, { phone: pattern }, { gst_number: pattern }];
+    }
+
+    const customers = await Customer.find(query).sort({ name: 1 }).lean();
+    res.json(customers);
+  } catch (error) {
+    sendCustomerError(res, error, 'list');
+  }
+};
+
+export const getCustomer = async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id).lean();
+    if (!customer) {
+      return sendError(res, 404, 'Customer not found');
+    }
+    res.json(customer);
+  } catch (error) {
+    sendCustomerError(res, error, 'fetch');
+  }
+};
+
+export const createCustomer = async (req, res) => {
+  try {
+    const customer = await Customer.create(editableFields(req.body));
+    res.status(201).json({
+      success: true,
+      message: '✅ Customer Created Successfully',
+      customer
+    });
+  } catch (error) {
+    sendCustomerError(res, error, 'create');
+  }
+};
+
+// Renaming a customer does not rewrite the name snapshots on existing orders
+export const updateCustomer = async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      return sendError(res, 404, 'Customer not found');
+    }
+
+    customer.set(editableFields(req.body));
+    await customer.save();
+
+    res.json({
+      success: true,
+      message: 'Customer updated successfully',
+      customer
+    });
+  } catch (error) {
+    sendCustomerError(res, error, 'update');
+  }
+};
+
+// Customers referenced by orders are deactivated rather than removed
+export const deleteCustomer = async (req, res) => {
+  try {
+    const customer = await Customer.findByIdAndUpdate(req.params.id, { active: false }, { new: true });
+    if (!customer) {
+      return sendError(res, 404, 'Customer not found');
+    }
+
+    res.json({
+      success: true,
+      message: 'Customer deactivated successfully',
+      customer
+    });
+  } catch (error) {
+    sendCustomerError(res, error, 'delete');
+  }
+};
+
+export const getCustomerOrders = async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id).lean();
+    if (!customer) {
+      return sendError(res, 404, 'Customer not found');
+    }
+
+    const orders = await Order.find({ customer_id: customer._id, deleted_at: null })
+      .sort({ created_at: -1 })
+      .lean();
+
+    const withCompletion = orders.map(order => ({
+      ...order,
+      completion: orderCompletion(order.order_details)
+    }));
+
+    res.json({
+      customer,
+      live: withCompletion.filter(order => !CLOSED_STATUSES.includes(order.order_status)),
+      past: withCompletion.filter(order => CLOSED_STATUSES.includes(order.order_status))
+    });
+  } catch (error) {
+    sendCustomerError(res, error, 'orders');
+  }
+};
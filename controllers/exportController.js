@@ -0,0 +1,103 @@
+import { createRowWriter, EXPORT_FORMATS } from '../utils/rowWriter.js';
+import { parseDateRange } from '../utils/orderQuery.js';
+import { SECTIONS, TEAM_SECTIONS, TEAMS } from '../config/teams.js';
+import {
+  ORDER_ITEM_COLUMNS,
+  PRODUCTION_ENTRY_COLUMNS,
+  buildExportFilter,
+  orderItemRows,
+  productionEntryRows,
+  orderCursor
+} from '../services/exportService.js';
+import { sendError } from '../utils/errors.js';
+
+// Validates ?format, ?status, ?team, ?from, ?to; returns { error } on bad input
+const parseExportOptions = (query) => {
+  const format = (query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  }
+  if (query.status && !['live', 'past'].includes(query.status)) {
+    return { error: 'status must be live or past' };
+  }
+  if (query.team && !TEAMS.includes(query.team)) {
+    return { error: 'Invalid team' };
+  }
+
+  const range = parseDateRange(query);
+  if (range.error) return range;
+
+  return {
+    format,
+    status: query.status,
+    team: query.team,
+    search: query.search?.toString().trim() || null,
+    ...range
+  };
+};
+
+const exportFilename = (prefix) => `${prefix}-${new Date().toISOString().slice(0, 10)}`;
+
+// Headers are already sent once streaming starts, so late failures can only end the response.
+// The cursor is closed either way, including when the client disconnects part way.
+const streamRows = async (res, writer, cursor, toRows) => {
+  try {
+    for await (const order of cursor) {
+      for (const row of toRows(order)) {
+        await writer.write(row);
+      }
+    }
+    await writer.end();
+  } catch (error) {
+    console.error('Export stream error:', error);
+    res.destroy(error);
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+};
+
+export const exportOrders = async (req, res) => {
+  const options = parseExportOptions(req.query);
+  if (options.error) {
+    return sendError(res, 400, options.error);
+  }
+
+  const writer = createRowWriter(res, {
+    format: options.format,
+    filename: exportFilename('orders'),
+    columns: ORDER_ITEM_COLUMNS,
+    sheetName: 'Orders'
+  });
+
+  await streamRows(res, writer, orderCursor(buildExportFilter(options)), order => orderItemRows(order, options.team));
+};
+
+export const exportProductionEntries = async (req, res) => {
+  const options = parseExportOptions(req.query);
+  if (options.error) {
+    return sendError(res, 400, options.error);
+  }
+
+  const { from, to, ...orderOptions } = options;
+  const filter = buildExportFilter(orderOptions);
+
+  // Narrow to orders with at least one entry in range; rows are filtered exactly per entry
+  if (from || to) {
+    const timestamp = {};
+    if (from) timestamp.$gte = from;
+    if (to) timestamp.$lte = to;
+    const sections = options.team ? [TEAM_SECTIONS[options.team]] : SECTIONS;
+    filter.$and = [{
+      $or: sections.map(section => ({ [`order_details.${section}.team_tracking.completed_entries.timestamp`]: timestamp }))
+    }];
+  }
+
+  const writer = createRowWriter(res, {
+    format: options.format,
+    filename: exportFilename('production-entries'),
+    columns: PRODUCTION_ENTRY_COLUMNS,
+    sheetName: 'Production Entries'
+  });
+
+  await streamRows(res, writer, orderCursor(filter), order => productionEntryRows(order, options));
+};
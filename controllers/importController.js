@@ -0,0 +1,49 @@
+import { parseImportFile, buildImportPreview, createImportedOrders } from '../services/importService.js';
+import { recordAudit } from '../services/auditService.js';
+import { broadcastOrderEvent } from '../config/socket.js';
+import { notifyNewOrder } from '../services/notificationService.js';
+import { sendError, sendUnexpectedError } from '../utils/errors.js';
+
+// POST /orders/import?dry_run=true returns the preview only; without it the orders are created
+export const importOrders = async (req, res) => {
+  try {
+    if (!req.file) {
+      return sendError(res, 400, 'A CSV or XLSX file is required in the "file" field');
+    }
+
+    const rows = await parseImportFile(req.file);
+    if (!rows) {
+      return sendError(res, 400, 'The file is not a readable CSV or XLSX file', { code: 'INVALID_FILE' });
+    }
+    if (rows.length === 0) {
+      return sendError(res, 400, 'The file does not contain any order rows');
+    }
+
+    const preview = await buildImportPreview(rows);
+    const dryRun = ['true', '1'].includes(String(req.query.dry_run));
+
+    if (dryRun) {
+      return res.json({ success: true, dry_run: true, ...preview });
+    }
+    if (!preview.valid) {
+      return sendError(res, 400, 'Import contains invalid rows', { details: preview.errors });
+    }
+
+    const createdOrders = await createImportedOrders(preview.orders);
+
+    for (const order of createdOrders) {
+      await recordAudit({ action: 'create', after: order, user: req.user });
+      broadcastOrderEvent('new-order', order, { createdBy: req.user, imported: true });
+      notifyNewOrder(order, req.user);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `✅ Imported ${createdOrders.length} orders`,
+      orders: createdOrders
+    });
+  } catch (error) {
+    console.error('Order import error:', error);
+    sendUnexpectedError(res, error, 'Order number already exists');
+  }
+};
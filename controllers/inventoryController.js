@@ -0,0 +1,223 @@
+import mongoose from 'mongoose';
+import { StockItem, StockLocation, StockLevel, StockMovement, ProductionRecipe } from '../models/Inventory.js';
+import { postMovements, getStockTotals } from '../services/inventoryService.js';
+import { sendError, sendUnexpectedError } from '../utils/errors.js';
+
+// Movement types that can be posted by hand; production movements come from progress updates
+const MANUAL_MOVEMENT_TYPES = ['receipt', 'issue', 'adjustment', 'transfer'];
+
+// Fields clients may set; stock levels only change through movements
+const STOCK_ITEM_FIELDS = ['sku', 'name', 'kind', 'unit', 'reorder_level', 'active'];
+const LOCATION_FIELDS = ['code', 'name', 'description', 'active'];
+
+const pickFields = (body = {}, fields) =>
+  Object.fromEntries(Object.entries(body).filter(([key]) => fields.includes(key)));
+
+// Query parameters that filter by id, and the field each one matches
+const ID_FILTERS = { item: 'stock_item_id', location: 'location_id' };
+
+// Builds the id filters from the query string, or returns null if one is not a valid id
+const idFilters = (query) => {
+  const filter = {};
+  for (const [param, field] of Object.entries(ID_FILTERS)) {
+    if (query[param] === undefined) continue;
+    if (!mongoose.isValidObjectId(query[param])) return null;
+    filter[field] = query[param];
+  }
+  return filter;
+};
+
+const sendInvalidFilter = (res) => sendError(res, 400, 'item and location must be valid ids');
+
+const sendInventoryError = (res, error, action) => {
+  console.error(`Inventory ${action} error:`, error);
+  sendUnexpectedError(res, error, 'A record with this code already exists');
+};
+
+export const getStockItems = async (req, res) => {
+  try {
+    const query = {};
+    if (typeof req.query.kind === 'string') query.kind = req.query.kind;
+    if (req.query.active !== 'all') query.active = req.query.active !== 'false';
+
+    const items = await StockItem.find(query).sort({ sku: 1 }).lean();
+    const totals = await getStockTotals(items.map(item => item._id.toString()));
+
+    res.json(items.map(item => {
+      const onHand = totals.get(item._id.toString()) || 0;
+      return { ...item, on_hand: onHand, low_stock: onHand <= item.reorder_level };
+    }));
+  } catch (error) {
+    sendInventoryError(res, error, 'item list');
+  }
+};
+
+export const createStockItem = async (req, res) => {
+  try {
+    const item = await StockItem.create(pickFields(req.body, STOCK_ITEM_FIELDS));
+    res.status(201).json({ success: true, message: '✅ Stock Item Created Successfully', item });
+  } catch (error) {
+    sendInventoryError(res, error, 'item create');
+  }
+};
+
+export const updateStockItem = async (req, res) => {
+  try {
+    const data = pickFields(req.body, STOCK_ITEM_FIELDS);
+    const item = await StockItem.findByIdAndUpdate(req.params.id, data, { new: true, runValidators: true });
+    if (!item) {
+      return sendError(res, 404, 'Stock item not found');
+    }
+    res.json({ success: true, message: 'Stock item updated successfully', item });
+  } catch (error) {
+    sendInventoryError(res, error, 'item update');
+  }
+};
+
+export const getLocations = async (req, res) => {
+  try {
+    const locations = await StockLocation.find().sort({ code: 1 }).lean();
+    res.json(locations);
+  } catch (error) {
+    sendInventoryError(res, error, 'location list');
+  }
+};
+
+export const createLocation = async (req, res) => {
+  try {
+    const location = await StockLocation.create(pickFields(req.body, LOCATION_FIELDS));
+    res.status(201).json({ success: true, message: '✅ Location Created Successfully', location });
+  } catch (error) {
+    sendInventoryError(res, error, 'location create');
+  }
+};
+
+export const updateLocation = async (req, res) => {
+  try {
+    const data = pickFields(req.body, LOCATION_FIELDS);
+    const location = await StockLocation.findByIdAndUpdate(req.params.id, data, { new: true, runValidators: true });
+    if (!location) {
+      return sendError(res, 404, 'Location not found');
+    }
+    res.json({ success: true, message: 'Location updated successfully', location });
+  } catch (error) {
+    sendInventoryError(res, error, 'location update');
+  }
+};
+
+export const getStockLevels = async (req, res) => {
+  try {
+    const query = idFilters(req.query);
+    if (!query) return sendInvalidFilter(res);
+
+    const levels = await StockLevel.find(query)
+      .populate('stock_item_id', 'sku name unit reorder_level')
+      .populate('location_id', 'code name')
+      .lean();
+    res.json(levels);
+  } catch (error) {
+    sendInventoryError(res, error, 'level list');
+  }
+};
+
+export const getMovements = async (req, res) => {
+  try {
+    const query = idFilters(req.query);
+    if (!query) return sendInvalidFilter(res);
+    if (typeof req.query.order_number === 'string') query['reference.order_number'] = req.query.order_number;
+
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    const movements = await StockMovement.find(query).sort({ timestamp: -1 }).limit(limit).lean();
+    res.json(movements);
+  } catch (error) {
+    sendInventoryError(res, error, 'movement list');
+  }
+};
+
+// Manual stock posting. A transfer becomes a transfer_out/transfer_in pair.
+export const createMovement = async (req, res) => {
+  try {
+    const { stock_item_id, location_id, to_location_id, quantity, type, note } = req.body;
+
+    if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+      return sendError(res, 400, `type must be one of: ${MANUAL_MOVEMENT_TYPES.join(', ')}`);
+    }
+    if (!mongoose.isValidObjectId(stock_item_id) || !mongoose.isValidObjectId(location_id)) {
+      return sendError(res, 400, 'stock_item_id and location_id are required');
+    }
+
+    const amount = Number(quantity);
+    // Adjustments carry their own sign; everything else is a positive amount
+    if (!Number.isFinite(amount) || amount === 0 || (type !== 'adjustment' && amount < 0)) {
+      return sendError(res, 400, 'quantity must be a non-zero number (positive unless type is adjustment)');
+    }
+
+    const [item, location] = await Promise.all([
+      StockItem.findById(stock_item_id).lean(),
+      StockLocation.findById(location_id).lean()
+    ]);
+    if (!item || !location) {
+      return sendError(res, 404, 'Stock item or location not found');
+    }
+
+    let movements;
+    if (type === 'transfer') {
+      if (!mongoose.isValidObjectId(to_location_id) || !(await StockLocation.exists({ _id: to_location_id }))) {
+        return sendError(res, 400, 'A valid to_location_id is required for transfers');
+      }
+      movements = [
+        { stock_item_id, location_id, quantity: -amount, type: 'transfer_out', note },
+        { stock_item_id, location_id: to_location_id, quantity: amount, type: 'transfer_in', note }
+      ];
+    } else {
+      movements = [{ stock_item_id, location_id, quantity: type === 'issue' ? -amount : amount, type, note }];
+    }
+
+    const created = await postMovements(movements, req.user);
+    res.status(201).json({ success: true, message: 'Stock movement recorded', movements: created });
+  } catch (error) {
+    sendInventoryError(res, error, 'movement create');
+  }
+};
+
+export const getRecipes = async (req, res) => {
+  try {
+    const query = {};
+    if (typeof req.query.section === 'string') query.section = req.query.section;
+    const recipes = await ProductionRecipe.find(query).lean();
+    res.json(recipes);
+  } catch (error) {
+    sendInventoryError(res, error, 'recipe list');
+  }
+};
+
+// One recipe per catalog product: posting again replaces it
+export const saveRecipe = async (req, res) => {
+  try {
+    const { section, product_id, location_id, materials, output_stock_item_id, active } = req.body;
+    if (typeof section !== 'string' || !section || !mongoose.isValidObjectId(product_id)) {
+      return sendError(res, 400, 'section and a valid product_id are required');
+    }
+
+    const recipe = await ProductionRecipe.findOneAndUpdate(
+      { section, product_id },
+      { section, product_id, location_id, materials: materials || [], output_stock_item_id, active: active !== false },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    res.json({ success: true, message: 'Recipe saved successfully', recipe });
+  } catch (error) {
+    sendInventoryError(res, error, 'recipe save');
+  }
+};
+
+export const deleteRecipe = async (req, res) => {
+  try {
+    const recipe = await ProductionRecipe.findByIdAndDelete(req.params.id);
+    if (!recipe) {
+      return sendError(res, 404, 'Recipe not found');
+    }
+    res.json({ success: true, message: 'Recipe deleted successfully' });
+  } catch (error) {
+    sendInventoryError(res, error, 'recipe delete');
+  }
+};
@@ -0,0 +1,133 @@
+import Notification, { NOTIFICATION_TYPES } from '../models/Notification.js';
+import User from '../models/User.js';
+import { unreadCount, pushUnreadCounts, getPreferences } from '../services/notificationService.js';
+import { parseListOptions, paginationInfo } from '../utils/orderQuery.js';
+import { sendError } from '../utils/errors.js';
+
+export const getNotifications = async (req, res) => {
+  try {
+    const { page, limit, from, to, error } = parseListOptions({ page: req.query.page, limit: req.query.limit, from: req.query.from, to: req.query.to });
+    if (error) {
+      return sendError(res, 400, error);
+    }
+
+    const query = { user_id: req.user.userId };
+    if (req.query.unread === 'true') query.read_at = null;
+    if (req.query.type) {
+      if (!NOTIFICATION_TYPES.includes(req.query.type)) {
+        return sendError(res, 400, `type must be one of: ${NOTIFICATION_TYPES.join(', ')}`);
+      }
+      query.type = req.query.type;
+    }
+    if (from || to) {
+      query.created_at = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+    }
+
+    const [notifications, total, unread] = await Promise.all([
+      Notification.find(query).sort({ created_at: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Notification.countDocuments(query),
+      unreadCount(req.user.userId)
+    ]);
+
+    res.json({
+      notifications,
+      unreadCount: unread,
+      pagination: paginationInfo({ page, limit }, total)
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    sendError(res, 500, error.message);
+  }
+};
+
+export const getUnreadCount = async (req, res) => {
+  try {
+    res.json({ count: await unreadCount(req.user.userId) });
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    sendError(res, 500, error.message);
+  }
+};
+
+export const markRead = async (req, res) => {
+  try {
+    // Reading it again keeps the first read time
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user_id: req.user.userId, read_at: null },
+      { $set: { read_at: new Date() } },
+      { new: true }
+    ).lean() || await Notification.findOne({ _id: req.params.id, user_id: req.user.userId }).lean();
+    if (!notification) {
+      return sendError(res, 404, 'Notification not found');
+    }
+
+    await pushUnreadCounts([req.user.userId]);
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      notification
+    });
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    sendError(res, 500, error.message);
+  }
+};
+
+export const markAllRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user_id: req.user.userId, read_at: null },
+      { $set: { read_at: new Date() } }
+    );
+
+    await pushUnreadCounts([req.user.userId]);
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    sendError(res, 500, error.message);
+  }
+};
+
+export const getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).lean();
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+    res.json({ types: getPreferences(user) });
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    sendError(res, 500, error.message);
+  }
+};
+
+// Body: { types: { 'order-edited': false, ... } }; types left out keep their setting
+export const updateNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+
+    const muted = new Set(user.muted_notification_types);
+    Object.entries(req.body.types).forEach(([type, enabled]) => {
+      if (enabled) muted.delete(type);
+      else muted.add(type);
+    });
+    user.muted_notification_types = [...muted];
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      types: getPreferences(user)
+    });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    sendError(res, 500, error.message);
+  }
+};
@@ -1,25 +1,84 @@
 import Order from '../config/db.js';
+import { isDispatcher, canUpdateSection } from '../middleware/auth.js';
+import { TEAM_SECTIONS, SECTIONS, ITEM_NAME_FIELDS } from '../config/teams.js';
+import { broadcastOrderEvent, emitToTeams, teamsForOrder } from '../config/socket.js';
+import { recordAudit, getOrderHistory as fetchOrderHistory } from '../services/auditService.js';
+import { purgeDateFor } from '../services/trashService.js';
+import { getExpectedVersion, setVersionHeader, sendVersionConflict } from '../utils/concurrency.js';
+import { mergeSectionItems, findAddedItems, itemTrackingStatus, countedQty, entriesTotal, recomputeTracking, refreshStageStatuses, stageInputQty, deriveOrderStatus, completedAtFor } from '../utils/orderItems.js';
+import { rejectsCountTowardCompletion } from '../config/rejects.js';
+import { CLOSED_STATUSES, canTransition } from '../config/orderStatus.js';
+import { validateOrderDetails, validateItemsAgainstCatalog, checkCompatibility } from '../services/catalogService.js';
+import { applyCustomerSnapshot } from '../services/customerService.js';
+import { recordProductionStock } from '../services/inventoryService.js';
+import { applyWorkflows, notifyStageArrival } from '../services/workflowService.js';
+import { notifyNewOrder, notifyOrderEdited, notifyProgress } from '../services/notificationService.js';
+import { parseListOptions, buildListFilter, sectionCompletionFilter, paginationInfo, LIST_PROJECTION, URGENCY_FIELDS } from '../utils/orderQuery.js';
+import { sendError, sendUnexpectedError } from '../utils/errors.js';
+
+// Urgency is ranked from computed fields, so that sort runs as an aggregation
+const findUrgentOrders = (filter, options, projection) =>
+  Order.aggregate([
+    { $match: filter },
+    { $addFields: URGENCY_FIELDS },
+    { $sort: options.sort },
+    ...(options.paginated ? [{ $skip: (options.page - 1) * options.limit }, { $limit: options.limit }] : []),
+    projection ? { $project: projection } : { $unset: Object.keys(URGENCY_FIELDS) }
+  ]);
+
+const findOrders = (filter, options, projection) => {
+  if (options.urgency) return findUrgentOrders(filter, options, projection);
+
+  const query = Order.find(filter, projection).sort(options.sort);
+  if (options.paginated) {
+    query.skip((options.page - 1) * options.limit).limit(options.limit);
+  }
+  return query.lean();
+};
+
+// Sends { orders, pagination } when the client asked for a page (?page or ?limit).
+// Without them the whole list is sent as a bare array, as these endpoints always have.
+const sendOrderPage = async (res, filter, options, projection = null) => {
+  if (!options.paginated) {
+    return res.json(await findOrders(filter, options, projection));
+  }
+
+  const [orders, total] = await Promise.all([
+    findOrders(filter, options, projection),
+    Order.countDocuments(filter)
+  ]);
+
+  return res.json({
+    orders,
+    pagination: paginationInfo(options, total)
+  });
+};
 
 export const createOrder = async (req, res) => {
   try {
-    if (!req.body.order_number || !req.body.dispatcher_name || !req.body.customer_name) {
-      return res.status(400).json({ error: 'Missing required fields: order number, dispatcher name, and customer name are required' });
+    const customerError = await applyCustomerSnapshot(req.body);
+    if (customerError) {
+      return sendError(res, 400, customerError);
     }
 
-    const orderDetails = req.body.order_details || {};
-    const hasItems =
-      (orderDetails.glass && orderDetails.glass.length > 0) ||
-      (orderDetails.caps && orderDetails.caps.length > 0) ||
-      (orderDetails.boxes && orderDetails.boxes.length > 0) ||
-      (orderDetails.pumps && orderDetails.pumps.length > 0);
+    const orderDetails = req.body.order_details;
 
-    if (!hasItems) {
-      return res.status(400).json({ error: 'Order must contain at least one item (glass, caps, boxes, or pumps)' });
+    // Normalises item names and attributes to their catalog entries
+    const catalogErrors = await validateOrderDetails(orderDetails);
+    if (catalogErrors.length > 0) {
+      return sendError(res, 400, 'Items do not match the product catalog', { details: catalogErrors });
     }
 
+    await applyWorkflows(orderDetails);
+
     const newOrder = new Order(req.body);
     const savedOrder = await newOrder.save();
 
+    await recordAudit({ action: 'create', after: savedOrder, user: req.user });
+    broadcastOrderEvent('new-order', savedOrder, { createdBy: req.user });
+    notifyNewOrder(savedOrder, req.user);
+
+    setVersionHeader(res, savedOrder);
     res.status(201).json({
       success: true,
       message: '✅ Order Created Successfully',
@@ -27,10 +86,7 @@ export const createOrder = async (req, res) => {
     });
   } catch (error) {
     console.error('Order creation error:', error);
-    if (error.code === 11000) {
-      return res.status(409).json({ error: 'Order number already exists' });
-    }
-    res.status(500).json({ error: error.message });
+    sendUnexpectedError(res, error, 'Order number already exists');
   }
 };
 
@@ -97,98 +153,44 @@ export const createOrder = async (req, res) => {
 export const filterOrders = async (req, res) => {
   try {
     const { orderType } = req.params;
-    const { team, role } = req.query;
+    // Role and team come from the authenticated user, never from the query string
+    const { team, role } = req.user;
 
     console.log(`Filtering orders - Type: ${orderType}, Team: ${team}, Role: ${role}`);
 
+    // Live orders default to most urgent first
+    const options = parseListOptions(req.query, orderType === 'liveOrders' ? 'urgency' : 'created_at');
+    if (options.error) {
+      return sendError(res, 400, options.error);
+    }
+    const query = { deleted_at: null, ...buildListFilter(options) };
+
     // If it's an admin/dispatcher, filter by order_status only
-    if (role === 'admin' || role === 'dispatcher') {
-      console.log('Processing request for admin/dispatcher');
-      const query = {};
-      
+    if (isDispatcher(req.user)) {
       if (orderType === 'liveOrders') {
-        query.order_status = { $ne: 'Completed' }; // Show orders that are not completed
+        query.order_status = { $nin: CLOSED_STATUSES }; // Show orders still in production
       } else if (orderType === 'pastOrders') {
-        query.order_status = 'Completed'; // Show only completed orders
+        query.order_status = { $in: CLOSED_STATUSES }; // Show finished, dispatched and cancelled orders
       }
-      
-      console.log('Admin/dispatcher query:', JSON.stringify(query));
-      
-      const orders = await Order.find(
-        query,
-        {
-          order_number: 1,
-          dispatcher_name: 1,
-          customer_name: 1,
-          created_at: 1,
-          createdAt: 1,
-          order_status: 1,
-          order_details: 1
-        }
-      );
-      
-      console.log(`Found ${orders.length} orders for admin/dispatcher`);
-      return res.json(orders);
+
+      return await sendOrderPage(res, query, options, LIST_PROJECTION);
     }
     
-    // For team users, continue with the existing functionality
-    if (!team) {
-      return res.status(400).json({ error: 'Team parameter is required' });
+    // For team users, completion is judged on the team's own section only
+    if (!TEAM_SECTIONS[team]) {
+      return sendError(res, 403, 'User is not assigned to a production team');
     }
-
-    const teamMapping = {
-      glass: 'glass',
-      caps: 'caps',
-      box: 'boxes',
-      pump: 'pumps'
-    };
-
-    const teamKey = Object.keys(teamMapping).find(key => team.toLowerCase().includes(key));
-    if (!teamKey) {
-      return res.status(400).json({ error: 'Invalid team type' });
+    if (orderType !== 'liveOrders' && orderType !== 'pastOrders') {
+      return sendError(res, 400, 'Invalid order type');
     }
 
-    const teamType = teamMapping[teamKey];
-    console.log(`Team type identified: ${teamType}`);
-
-    const baseQuery = {
-      [`order_details.${teamType}`]: { $exists: true, $not: { $size: 0 } }
-    };
-
-    console.log('Team query:', JSON.stringify(baseQuery));
-    
-    const orders = await Order.find(
-      baseQuery,
-      {
-        order_number: 1,
-        dispatcher_name: 1,
-        customer_name: 1,
-        created_at: 1,
-        createdAt: 1,
-        order_status: 1,
-        order_details: 1
-      }
-    );
-
-    console.log(`Found ${orders.length} orders for team before filtering`);
+    const teamType = TEAM_SECTIONS[team];
+    Object.assign(query, sectionCompletionFilter(teamType, orderType));
 
-    const filteredOrders = orders.filter(order => {
-      const teamItems = order.order_details[teamType] || [];
-      
-      const allItemsComplete = teamItems.every(item =>
-        item.team_tracking?.status === 'Completed' ||
-        (item.team_tracking?.total_completed_qty >= item.quantity)
-      );
-      
-      return (orderType === 'liveOrders' && !allItemsComplete) ||
-        (orderType === 'pastOrders' && allItemsComplete);
-    });
-
-    console.log(`Returning ${filteredOrders.length} filtered orders for team`);
-    res.json(filteredOrders);
+    return await sendOrderPage(res, query, options, LIST_PROJECTION);
   } catch (error) {
     console.error('Error filtering orders:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, 500, error.message);
   }
 };
 
@@ -196,79 +198,388 @@ export const updateOrderProgress = async (req, res) => {
   try {
     const { order_number, team_type, updates } = req.body;
 
-    if (!order_number || !team_type || !updates || !Array.isArray(updates)) {
-      return res.status(400).json({
-        error: 'Invalid request. Required: order_number, team_type, and updates array'
-      });
+    const expectedVersion = getExpectedVersion(req);
+    if (Number.isNaN(expectedVersion)) {
+      return sendError(res, 400, 'Invalid order version');
     }
 
-    const order = await Order.findOne({ order_number });
+    const order = await Order.findOne({ order_number, deleted_at: null });
     if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+      return sendError(res, 404, 'Order not found');
     }
-    const validTeamTypes = ['glass', 'caps', 'boxes', 'pumps'];
-    if (!validTeamTypes.includes(team_type)) {
-      return res.status(400).json({ error: 'Invalid team type' });
+    if (expectedVersion !== null && expectedVersion !== order.__v) {
+      return sendVersionConflict(res, order.toObject());
+    }
+    if (!canUpdateSection(req.user, team_type)) {
+      return sendError(res, 403, `Only the ${team_type} team can update its progress`);
+    }
+    if (order.order_status === 'Cancelled') {
+      return sendError(res, 400, 'Cannot update progress on a cancelled order');
     }
 
+    const before = order.toObject();
     const teamItems = order.order_details[team_type];
+    const recordedBy = { user_id: req.user.userId, name: req.user.name };
+    const appliedEntries = [];
+    const errors = [];
 
-    updates.forEach(update => {
+    updates.forEach((update, index) => {
       const itemToUpdate = teamItems.find(
         item => item._id.toString() === update.item_id
       );
 
       if (!itemToUpdate) {
-        console.warn(`Item ${update.item_id} not found in order`);
+        errors.push({ field: `updates[${index}].item_id`, message: `Item ${update.item_id} is not a ${team_type} item of this order` });
         return;
       }
 
-      const maxAllowedQty = itemToUpdate.quantity - (itemToUpdate.team_tracking?.total_completed_qty || 0);
-      if (update.qty_completed > maxAllowedQty) {
-        throw new Error(`Quantity exceeded for item ${update.item_id}. Max allowed: ${maxAllowedQty}`);
+      const qtyCompleted = update.qty_completed || 0;
+      const rejectedQty = update.rejected_qty || 0;
+      const scrapQty = update.scrap_qty || 0;
+      const countedRejects = rejectsCountTowardCompletion(team_type) ? rejectedQty + scrapQty : 0;
+
+      const maxAllowedQty = itemToUpdate.quantity - countedQty(itemToUpdate, team_type);
+      if (qtyCompleted + countedRejects > maxAllowedQty) {
+        errors.push({ field: `updates[${index}].qty_completed`, message: `Quantity exceeded for item ${update.item_id}. Max allowed: ${maxAllowedQty}` });
+        return;
       }
 
+      const entry = {
+        qty_completed: qtyCompleted,
+        rejected_qty: rejectedQty,
+        scrap_qty: scrapQty,
+        ...(update.reason_code && { reason_code: update.reason_code }),
+        timestamp: new Date(),
+        recorded_by: recordedBy
+      };
+
       if (!itemToUpdate.team_tracking) {
         itemToUpdate.team_tracking = {
-          total_completed_qty: update.qty_completed,
-          completed_entries: [{
-            qty_completed: update.qty_completed,
-            timestamp: new Date()
-          }],
-          status: update.qty_completed >= itemToUpdate.quantity ? 'Completed' : 'Pending'
+          total_completed_qty: qtyCompleted,
+          total_rejected_qty: rejectedQty,
+          total_scrap_qty: scrapQty,
+          completed_entries: [entry]
         };
       } else {
+        const tracking = itemToUpdate.team_tracking;
+        tracking.total_completed_qty = (tracking.total_completed_qty || 0) + qtyCompleted;
+        tracking.total_rejected_qty = (tracking.total_rejected_qty || 0) + rejectedQty;
+        tracking.total_scrap_qty = (tracking.total_scrap_qty || 0) + scrapQty;
+        tracking.completed_entries.push(entry);
+      }
+      itemToUpdate.team_tracking.status = itemTrackingStatus(itemToUpdate, team_type);
+      refreshStageStatuses(itemToUpdate);
+
+      const entries = itemToUpdate.team_tracking.completed_entries;
+      appliedEntries.push({
+        item: itemToUpdate,
+        qty_completed: qtyCompleted,
+        qty_consumed: qtyCompleted + rejectedQty + scrapQty,
+        entry_id: entries[entries.length - 1]._id
+      });
+    });
+
+    // Nothing has been saved yet, so a bad update leaves the order untouched
+    if (errors.length > 0) {
+      return sendError(res, 400, 'Invalid progress update', { details: errors });
+    }
+
+    order.order_status = deriveOrderStatus(order);
+    order.completed_at = completedAtFor(order.order_status, order.completed_at);
+
+    // Only touched paths are validated, so items older than the stricter item schema do not block progress
+    await order.save({ validateModifiedOnly: true });
+
+    await recordAudit({ action: 'progress', before, after: order, user: req.user, team: team_type });
+
+    // Stock is posted after the progress is saved; a failure here must not undo the progress
+    try {
+      await recordProductionStock({ order, section: team_type, entries: appliedEntries, user: req.user });
+    } catch (stockError) {
+      console.error(`❌ Failed to post production stock for order #${order.order_number}:`, stockError);
+    }
+
+    broadcastOrderEvent('order-updated', order, { updatedBy: req.user, teamType: team_type });
+    notifyProgress(before, order, req.user);
+    appliedEntries.forEach(({ item, qty_completed }) => notifyStageArrival(order, team_type, item, 0, qty_completed));
+
+    setVersionHeader(res, order);
+    res.json({
+      success: true,
+      message: 'Order progress updated successfully',
+      order
+    });
+  } catch (error) {
+    console.error('Order progress update error:', error);
+    // Someone else saved the order between our read and write
+    if (error.name === 'VersionError') {
+      const currentOrder = await Order.findOne({ order_number: req.body.order_number, deleted_at: null }).lean();
+      if (currentOrder) return sendVersionConflict(res, currentOrder);
+    }
+    sendError(res, 500, error.message);
+  }
+};
+
+// Progress on a workflow stage after the section team's own production. Each stage can
+// only take what the stage before it has completed.
+export const updateStageProgress = async (req, res) => {
+  try {
+    const { order_number, stage, updates } = req.body;
+
+    const expectedVersion = getExpectedVersion(req);
+    if (Number.isNaN(expectedVersion)) {
+      return sendError(res, 400, 'Invalid order version');
+    }
+
+    const order = await Order.findOne({ order_number, deleted_at: null });
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+    if (expectedVersion !== null && expectedVersion !== order.__v) {
+      return sendVersionConflict(res, order.toObject());
+    }
+    if (order.order_status === 'Cancelled') {
+      return sendError(res, 400, 'Cannot update progress on a cancelled order');
+    }
 
-        itemToUpdate.team_tracking.total_completed_qty += update.qty_completed;
-        itemToUpdate.team_tracking.completed_entries.push({
-          qty_completed: update.qty_completed,
-          timestamp: new Date()
-        });
+    const before = order.toObject();
+    const recordedBy = { user_id: req.user.userId, name: req.user.name };
+    const errors = [];
+    const applied = [];
+
+    updates.forEach(({ item_id, qty_completed }, index) => {
+      const section = SECTIONS.find(key => order.order_details[key]?.some(item => item._id.toString() === item_id));
+      const item = section && order.order_details[section].find(entry => entry._id.toString() === item_id);
+      const stageIndex = item ? (item.stages || []).findIndex(entry => entry.key === stage) : -1;
+      if (stageIndex === -1) {
+        errors.push({ field: `updates[${index}].item_id`, message: `Item ${item_id} has no ${stage} stage` });
+        return;
+      }
 
-        itemToUpdate.team_tracking.status =
-          itemToUpdate.team_tracking.total_completed_qty >= itemToUpdate.quantity
-            ? 'Completed' : 'Pending';
+      const itemStage = item.stages[stageIndex];
+      if (req.user.role !== 'admin' && req.user.team !== itemStage.team) {
+        errors.push({ field: `updates[${index}].item_id`, message: `Only the ${itemStage.team} team can update the ${stage} stage` });
+        return;
       }
+
+      const available = stageInputQty(item, stageIndex) - (itemStage.total_completed_qty || 0);
+      if (!Number.isInteger(qty_completed) || qty_completed <= 0 || qty_completed > available) {
+        errors.push({ field: `updates[${index}].qty_completed`, message: `Quantity for item ${item_id} must be between 1 and ${available}` });
+        return;
+      }
+
+      itemStage.total_completed_qty = (itemStage.total_completed_qty || 0) + qty_completed;
+      itemStage.completed_entries.push({ qty_completed, timestamp: new Date(), recorded_by: recordedBy });
+      refreshStageStatuses(item);
+      applied.push({ section, item, stageIndex, qty_completed });
     });
 
-    const isOrderCompleted = Object.values(order.order_details).every(items =>
-      items.every(item =>
-        item.team_tracking?.status === 'Completed' || item.team_tracking?.status === undefined
-      )
+    if (errors.length > 0) {
+      return sendError(res, 400, 'Invalid stage progress', { details: errors });
+    }
+
+    order.order_status = deriveOrderStatus(order);
+    order.completed_at = completedAtFor(order.order_status, order.completed_at);
+    await order.save({ validateModifiedOnly: true });
+
+    await recordAudit({ action: 'progress', before, after: order, user: req.user, team: applied[0]?.section });
+
+    broadcastOrderEvent('order-updated', order, { updatedBy: req.user, stage });
+    notifyProgress(before, order, req.user);
+    applied.forEach(({ section, item, stageIndex, qty_completed }) =>
+      notifyStageArrival(order, section, item, stageIndex + 1, qty_completed)
     );
-    if (isOrderCompleted) {
-      order.order_status = 'Completed';
+
+    setVersionHeader(res, order);
+    res.json({
+      success: true,
+      message: 'Stage progress updated successfully',
+      order
+    });
+  } catch (error) {
+    console.error('Stage progress update error:', error);
+    if (error.name === 'VersionError') {
+      const currentOrder = await Order.findOne({ order_number: req.body.order_number, deleted_at: null }).lean();
+      if (currentOrder) return sendVersionConflict(res, currentOrder);
+    }
+    sendError(res, 500, error.message);
+  }
+};
+
+// Finds a progress entry anywhere in the order, with the item and section it belongs to
+const findProgressEntry = (order, entryId) => {
+  for (const section of SECTIONS) {
+    for (const item of order.order_details[section] || []) {
+      const entry = item.team_tracking?.completed_entries?.id(entryId);
+      if (entry) return { section, item, entry };
+    }
+  }
+  return null;
+};
+
+// Shared by void and correct: nextQty(entry) returns the entry's new quantity,
+// or { error } to reject the change
+const reviseProgressEntry = async (req, res, action, nextQty, successMessage) => {
+  try {
+    const reason = req.body.reason.trim();
+
+    const expectedVersion = getExpectedVersion(req);
+    if (Number.isNaN(expectedVersion)) {
+      return sendError(res, 400, 'Invalid order version');
+    }
+
+    const order = await Order.findOne({ order_number: req.params.orderNumber, deleted_at: null });
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+    if (expectedVersion !== null && expectedVersion !== order.__v) {
+      return sendVersionConflict(res, order.toObject());
+    }
+
+    const found = /^[0-9a-fA-F]{24}$/.test(req.params.entryId) && findProgressEntry(order, req.params.entryId);
+    if (!found) {
+      return sendError(res, 404, 'Progress entry not found');
+    }
+
+    const { section, item, entry } = found;
+    if (!canUpdateSection(req.user, section)) {
+      return sendError(res, 403, `Only the ${section} team can change its progress`);
+    }
+    if (order.order_status === 'Cancelled') {
+      return sendError(res, 400, 'Cannot update progress on a cancelled order');
     }
+    if (entry.voided_at) {
+      return sendError(res, 400, 'Progress entry has already been voided');
+    }
+
+    const qtyBefore = entry.qty_completed;
+    const qtyAfter = nextQty(entry);
+    if (qtyAfter?.error) {
+      return sendError(res, 400, qtyAfter.error);
+    }
+
+    const otherEntriesQty = entriesTotal(item) - qtyBefore;
+    const countedRejects = rejectsCountTowardCompletion(section)
+      ? entriesTotal(item, 'rejected_qty') + entriesTotal(item, 'scrap_qty')
+      : 0;
+    if (otherEntriesQty + countedRejects + qtyAfter > item.quantity) {
+      return sendError(res, 400, `Quantity exceeded for item ${item._id}. Max allowed: ${item.quantity - otherEntriesQty - countedRejects}`);
+    }
+    if (otherEntriesQty + qtyAfter < (item.dispatched_qty || 0)) {
+      return sendError(res, 400, `Cannot reduce item ${item._id} below its dispatched quantity of ${item.dispatched_qty}`);
+    }
+    const firstStage = item.stages?.[0];
+    if (firstStage && otherEntriesQty + qtyAfter < (firstStage.total_completed_qty || 0)) {
+      return sendError(res, 400, `Cannot reduce item ${item._id} below the ${firstStage.total_completed_qty} already processed by ${firstStage.name || firstStage.key}`);
+    }
+
+    const before = order.toObject();
+    const revisedBy = { user_id: req.user.userId, name: req.user.name };
+    if (action === 'void') {
+      entry.voided_at = new Date();
+      entry.voided_by = revisedBy;
+      entry.void_reason = reason;
+    } else {
+      entry.corrections.push({ qty_before: qtyBefore, qty_after: qtyAfter, reason, corrected_by: revisedBy });
+      entry.qty_completed = qtyAfter;
+    }
+
+    // Totals are rebuilt from the remaining entries rather than adjusted in place
+    recomputeTracking(item, section);
+    refreshStageStatuses(item);
+    order.order_status = deriveOrderStatus(order);
+    order.completed_at = completedAtFor(order.order_status, order.completed_at);
+
+    await order.save({ validateModifiedOnly: true });
+
+    await recordAudit({ action: 'correction', before, after: order, user: req.user, team: section });
+
+    try {
+      await recordProductionStock({
+        order,
+        section,
+        entries: [{
+          item,
+          qty_completed: qtyAfter - qtyBefore,
+          // Voiding also gives back the materials used by the entry's rejects and scrap
+          qty_consumed: qtyAfter - qtyBefore - (action === 'void' ? (entry.rejected_qty || 0) + (entry.scrap_qty || 0) : 0),
+          entry_id: entry._id
+        }],
+        user: req.user
+      });
+    } catch (stockError) {
+      console.error(`❌ Failed to post stock correction for order #${order.order_number}:`, stockError);
+    }
+
+    const correction = {
+      action,
+      entryId: entry._id,
+      itemId: item._id,
+      qtyBefore,
+      qtyAfter,
+      reason
+    };
+    broadcastOrderEvent('order-updated', order, { updatedBy: req.user, teamType: section, correction });
+    notifyProgress(before, order, req.user);
+    notifyStageArrival(order, section, item, 0, qtyAfter - qtyBefore);
 
-    await order.save();
+    setVersionHeader(res, order);
     res.json({
       success: true,
-      message: 'Order progress updated successfully',
+      message: successMessage,
+      correction,
       order
     });
   } catch (error) {
-    console.error('Order progress update error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Progress correction error:', error);
+    if (error.name === 'VersionError') {
+      const currentOrder = await Order.findOne({ order_number: req.params.orderNumber, deleted_at: null }).lean();
+      if (currentOrder) return sendVersionConflict(res, currentOrder);
+    }
+    sendError(res, 500, error.message);
+  }
+};
+
+export const voidProgressEntry = (req, res) =>
+  reviseProgressEntry(req, res, 'void', () => 0, 'Progress entry voided successfully');
+
+export const correctProgressEntry = (req, res) =>
+  reviseProgressEntry(req, res, 'correct', (entry) => {
+    const qty = req.body.qty_completed;
+    if (qty === entry.qty_completed) {
+      return { error: 'Corrected quantity is the same as the recorded quantity' };
+    }
+    return qty;
+  }, 'Progress entry corrected successfully');
+
+// Edits are checked the way document saves are (validateModifiedOnly): new items in full,
+// existing items and order fields only where they changed, so items saved before the
+// required name and quantity do not block unrelated edits
+const validateOrderEdit = async (existingOrder, updateData, sections) => {
+  const draft = Order.hydrate(existingOrder);
+  const newItems = {};
+
+  Object.entries(updateData).forEach(([field, value]) => {
+    if (field !== 'order_details' && value !== undefined) draft.set(field, value);
+  });
+
+  sections.forEach(section => {
+    (updateData.order_details[section] || []).forEach(item => {
+      const existing = item._id && draft.order_details[section]?.id(item._id);
+      if (existing) {
+        const { _id, ...fields } = item;
+        existing.set(fields);
+      } else {
+        newItems[section] = [...(newItems[section] || []), item];
+      }
+    });
+  });
+
+  await draft.validate({ validateModifiedOnly: true });
+
+  const addedSections = Object.keys(newItems);
+  if (addedSections.length > 0) {
+    await new Order({ order_details: newItems }).validate(addedSections.map(section => `order_details.${section}`));
   }
 };
 
@@ -277,125 +588,176 @@ export const updateOrder = async (req, res) => {
     const orderId = req.params.id;
     const updateData = req.body;
 
-    // Step 1: Basic validation
-    if (!updateData.order_number || !updateData.dispatcher_name || !updateData.customer_name) {
-      return res.status(400).json({
-        error: 'Missing required fields: order number, dispatcher name, and customer name are required'
-      });
+    // Step 1: Resolve the customer (request fields are checked by updateOrderRules)
+    const customerError = await applyCustomerSnapshot(updateData);
+    if (customerError) {
+      return sendError(res, 400, customerError);
+    }
+
+    const expectedVersion = getExpectedVersion(req);
+    if (Number.isNaN(expectedVersion)) {
+      return sendError(res, 400, 'Invalid order version');
     }
 
     // Step 2: Determine search condition - more efficient regex check
     const isObjectId = /^[0-9a-fA-F]{24}$/.test(orderId);
-    const queryCondition = isObjectId ? { _id: orderId } : { order_number: orderId };
+    const queryCondition = isObjectId ? { _id: orderId, deleted_at: null } : { order_number: orderId, deleted_at: null };
 
-    // Step 3: Fetch the existing order with projection to get only what we need
-    // This reduces memory usage for large orders
-    const existingOrder = await Order.findOne(queryCondition, {
-      order_details: 1,
-      _id: 1
-    }).lean();  // Use lean() to get plain JS object instead of Mongoose document
+    // Step 3: Fetch the existing order; the full document is kept for the audit diff
+    const existingOrder = await Order.findOne(queryCondition).lean();  // Use lean() to get plain JS object instead of Mongoose document
 
     if (!existingOrder) {
-      return res.status(404).json({ error: 'Order not found' });
+      return sendError(res, 404, 'Order not found');
     }
 
-    // Step 4: Merge order_details efficiently
+    const currentVersion = existingOrder.__v ?? 0;
+    if (expectedVersion !== null && expectedVersion !== currentVersion) {
+      return sendVersionConflict(res, existingOrder);
+    }
+
+    // Step 4: Merge order_details item by item so team progress is never dropped
     const existingDetails = existingOrder.order_details || {};
     const newDetails = updateData.order_details || {};
 
     // Create merged details object
     const mergedOrderDetails = { ...existingDetails };
+    const itemChanges = { added: [], removed: [], changed: [] };
+    const itemErrors = [];
 
     // Process sections in a more optimized way
     const processSection = (key, nameField) => {
       if (Array.isArray(newDetails[key]) && newDetails[key].length > 0) {
         // Filter out placeholder values
-        const validItems = newDetails[key].filter(item => {
-          // For caps section
-          if (key === 'caps') {
-            return item.cap_name && item.cap_name !== "N/A" &&
-              item.neck_size && item.neck_size !== "-";
-          }
-          // For other sections
-          return item[nameField] && item[nameField] !== "N/A";
-        });
+        const validItems = newDetails[key].filter(item => !isPlaceholderItem(key, item, nameField));
 
         if (validItems.length > 0) {
-          mergedOrderDetails[key] = validItems;
+          const { items, changed, removed, errors } = mergeSectionItems(key, existingDetails[key], validItems, nameField);
+          mergedOrderDetails[key] = items;
+          itemChanges.changed.push(...changed);
+          itemChanges.removed.push(...removed);
+          itemErrors.push(...errors);
         }
       }
     };
 
     // Process all sections at once
-    const sectionMap = {
-      'caps': 'cap_name',
-      'glass': 'glass_name',
-      'boxes': 'box_name',
-      'pumps': 'pump_name'
-    };
+    const sectionMap = ITEM_NAME_FIELDS;
 
     Object.entries(sectionMap).forEach(([key, nameField]) => {
       processSection(key, nameField);
     });
 
+    if (itemErrors.length > 0) {
+      return sendError(res, 400, 'Invalid item changes', { details: itemErrors });
+    }
+
+    // Only new or edited items are checked against the catalog, so older free-text
+    // items do not block unrelated edits
+    const editedIds = new Set(itemChanges.changed.map(item => item.item_id));
+    const catalogEntries = Object.keys(sectionMap).flatMap(section =>
+      mergedOrderDetails[section] === existingDetails[section]
+        ? []
+        : (mergedOrderDetails[section] || [])
+          .map((item, index) => ({ section, index, item }))
+          .filter(({ item }) => !item._id || editedIds.has(item._id.toString()))
+    );
+    const catalogErrors = [
+      ...await validateItemsAgainstCatalog(catalogEntries),
+      ...checkCompatibility(mergedOrderDetails, [...new Set(catalogEntries.map(entry => entry.section))])
+    ];
+    if (catalogErrors.length > 0) {
+      return sendError(res, 400, 'Items do not match the product catalog', { details: catalogErrors });
+    }
+
+    await applyWorkflows(mergedOrderDetails);
+
+    // Added items or raised quantities can reopen a completed order
+    const orderStatus = deriveOrderStatus({ ...existingOrder, order_details: mergedOrderDetails });
+    if (!canTransition(existingOrder.order_status, orderStatus)) {
+      return sendError(res, 400, `This edit would move the order from ${existingOrder.order_status} to ${orderStatus}`);
+    }
+
     // Step 5: Update only the fields that have changed to reduce DB write operations
+    const editedSections = Object.keys(sectionMap).filter(section => mergedOrderDetails[section] !== existingDetails[section]);
     const finalUpdateData = {
       order_number: updateData.order_number,
       dispatcher_name: updateData.dispatcher_name,
       customer_name: updateData.customer_name,
-      order_details: mergedOrderDetails
+      ...(updateData.due_date !== undefined && { due_date: updateData.due_date || null }),
+      ...(updateData.priority !== undefined && { priority: updateData.priority }),
+      ...(updateData.customer_id !== undefined && { customer_id: updateData.customer_id || null }),
+      order_details: mergedOrderDetails,
+      order_status: orderStatus,
+      completed_at: completedAtFor(orderStatus, existingOrder.completed_at)
     };
+    await validateOrderEdit(existingOrder, finalUpdateData, editedSections);
 
-    // Use lean() for better performance and only return necessary fields
+    // Use lean() for better performance; the whole document is returned so the audit
+    // compares like with like
+    // Matching on __v makes the merge above fail instead of overwriting a concurrent write
     const updatedOrder = await Order.findOneAndUpdate(
-      queryCondition,
-      { $set: finalUpdateData },  // Use $set operator explicitly for clarity
+      { ...queryCondition, __v: currentVersion },
+      { $set: finalUpdateData, $inc: { __v: 1 } },  // Use $set operator explicitly for clarity
       {
-        new: true,                // Return updated document
-        runValidators: true,      // Run schema validators
-        lean: true,               // Return plain JS object
-        projection: {             // Only return fields we need
-          order_number: 1,
-          dispatcher_name: 1,
-          customer_name: 1,
-          order_details: 1,
-          _id: 1
-        }
+        new: true,                // Return updated document (validated above)
+        lean: true                // Return plain JS object
       }
     );
 
     if (!updatedOrder) {
-      return res.status(404).json({ error: 'Order update failed' });
+      const currentOrder = await Order.findOne(queryCondition).lean();
+      if (currentOrder) return sendVersionConflict(res, currentOrder);
+      return sendError(res, 404, 'Order update failed');
     }
 
+    Object.entries(sectionMap).forEach(([key, nameField]) => {
+      itemChanges.added.push(...findAddedItems(key, existingDetails[key], updatedOrder.order_details?.[key], nameField));
+    });
+
+    await recordAudit({ action: 'edit', before: existingOrder, after: updatedOrder, user: req.user });
+
+    // order-edited has always carried the order itself at the top level.
+    // Teams whose items were removed are notified even if they no longer have items.
+    const targetTeams = [...new Set([
+      ...teamsForOrder(updatedOrder),
+      ...itemChanges.removed.map(item => item.team)
+    ])];
+    emitToTeams('order-edited', {
+      ...updatedOrder,
+      _meta: {
+        editedBy: req.user,
+        timestamp: new Date().toISOString(),
+        targetTeams,
+        changes: itemChanges
+      }
+    }, targetTeams);
+    notifyOrderEdited(updatedOrder, targetTeams, req.user, itemChanges);
+
     // Return success with minimal data needed by client
+    setVersionHeader(res, updatedOrder);
     res.json({
       success: true,
       message: 'Order updated successfully',
-      order: updatedOrder
+      order: updatedOrder,
+      changes: itemChanges
     });
 
   } catch (error) {
     console.error('Order update error:', error);
 
-    // Improved error handling with specific error codes
-    if (error.name === 'ValidationError') {
-      return res.status(400).json({ error: 'Validation error', details: error.message });
-    } else if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid ID format' });
-    } else if (error.code === 11000) {
-      return res.status(409).json({ error: 'Duplicate order number not allowed' });
-    }
-
-    res.status(500).json({ error: 'Server error occurred while updating order' });
+    sendUnexpectedError(res, error, 'Duplicate order number not allowed');
   }
 };
 export const getOrders = async (req, res) => {
   try {
-    const orders = await Order.find();
-    res.json(orders);
+    const options = parseListOptions(req.query);
+    if (options.error) {
+      return sendError(res, 400, options.error);
+    }
+
+    await sendOrderPage(res, { deleted_at: null, ...buildListFilter(options) }, options);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, 500, error.message);
   }
 };
 
@@ -405,41 +767,164 @@ export const deleteOrder = async (req, res) => {
     const orderNumber = req.params.orderNumber;
 
     if (!orderNumber) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid order number'
-      });
+      return sendError(res, 400, 'Invalid order number');
     }
 
-    const deletedOrder = await Order.findOneAndDelete({ order_number: orderNumber });
+    // Orders are moved to the trash; the purge job removes them after the retention period
+    const deletedOrder = await Order.findOneAndUpdate(
+      { order_number: orderNumber, deleted_at: null },
+      {
+        $set: {
+          deleted_at: new Date(),
+          deleted_by: { user_id: req.user.userId, name: req.user.name }
+        },
+        $inc: { __v: 1 }
+      },
+      { new: true, lean: true }
+    );
 
     if (!deletedOrder) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found'
-      });
+      return sendError(res, 404, 'Order not found');
     }
 
+    await recordAudit({
+      action: 'delete',
+      before: { ...deletedOrder, deleted_at: null, deleted_by: null },
+      after: deletedOrder,
+      user: req.user
+    });
+    broadcastOrderEvent('order-deleted', deletedOrder, { deletedBy: req.user });
+
     return res.status(200).json({
       success: true,
-      message: 'Order deleted successfully',
+      message: 'Order moved to trash',
       data: {
-        order_number: deletedOrder.order_number
+        order_number: deletedOrder.order_number,
+        deleted_at: deletedOrder.deleted_at,
+        purge_at: purgeDateFor(deletedOrder)
       }
     });
 
   } catch (error) {
     console.error('Error deleting order:', error);
-    return res.status(500).json({
-      success: false,
-      message: error.message || 'Error deleting order'
+    return sendError(res, 500, error.message || 'Error deleting order');
+  }
+};
+
+export const getOrderHistory = async (req, res) => {
+  try {
+    const history = await fetchOrderHistory(req.params.orderNumber);
+
+    if (history.length === 0) {
+      return sendError(res, 404, 'No history found for this order');
+    }
+
+    res.json({
+      order_number: req.params.orderNumber,
+      history
     });
+  } catch (error) {
+    console.error('Error fetching order history:', error);
+    sendError(res, 500, error.message);
   }
 };
 
+export const getTrashedOrders = async (req, res) => {
+  try {
+    const orders = await Order.find({ deleted_at: { $ne: null } }).sort({ deleted_at: -1 }).lean();
 
+    res.json(orders.map(order => ({
+      ...order,
+      purge_at: purgeDateFor(order)
+    })));
+  } catch (error) {
+    console.error('Error fetching trashed orders:', error);
+    sendError(res, 500, error.message);
+  }
+};
 
+export const restoreOrder = async (req, res) => {
+  try {
+    const trashedOrder = await Order.findOneAndUpdate(
+      { order_number: req.params.orderNumber, deleted_at: { $ne: null } },
+      { $set: { deleted_at: null, deleted_by: null }, $inc: { __v: 1 } },
+      { lean: true }
+    );
+
+    if (!trashedOrder) {
+      return sendError(res, 404, 'Order not found in trash');
+    }
 
+    const restoredOrder = { ...trashedOrder, deleted_at: null, deleted_by: null, __v: trashedOrder.__v + 1 };
 
+    await recordAudit({ action: 'restore', before: trashedOrder, after: restoredOrder, user: req.user });
+    broadcastOrderEvent('order-restored', restoredOrder, { restoredBy: req.user });
+
+    res.json({
+      success: true,
+      message: 'Order restored successfully',
+      order: restoredOrder
+    });
+  } catch (error) {
+    console.error('Error restoring order:', error);
+    sendError(res, 500, error.message);
+  }
+};
+
+// Cancelling and reopening are the only status changes made by hand; every other
+// status follows from production progress and shipments
+const changeOrderStatus = async (req, res, nextStatusFor, successMessage) => {
+  try {
+    const order = await Order.findOne({ order_number: req.params.orderNumber, deleted_at: null });
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+
+    const expectedVersion = getExpectedVersion(req);
+    if (Number.isNaN(expectedVersion)) {
+      return sendError(res, 400, 'Invalid order version');
+    }
+    if (expectedVersion !== null && expectedVersion !== order.__v) {
+      return sendVersionConflict(res, order.toObject());
+    }
+
+    const before = order.toObject();
+    const previousStatus = order.order_status;
+    const nextStatus = nextStatusFor(order);
+    if (!canTransition(previousStatus, nextStatus) || previousStatus === nextStatus) {
+      return sendError(res, 400, `Order cannot move from ${previousStatus} to ${nextStatus}`);
+    }
+
+    order.order_status = nextStatus;
+    order.completed_at = completedAtFor(nextStatus, order.completed_at);
+    await order.save({ validateModifiedOnly: true });
+
+    await recordAudit({ action: 'status', before, after: order, user: req.user });
+    broadcastOrderEvent('order-status-changed', order, {
+      changedBy: req.user,
+      previousStatus,
+      status: nextStatus,
+      reason: req.body?.reason
+    });
+
+    setVersionHeader(res, order);
+    res.json({
+      success: true,
+      message: successMessage,
+      order
+    });
+  } catch (error) {
+    console.error('Order status change error:', error);
+    if (error.name === 'VersionError') {
+      const currentOrder = await Order.findOne({ order_number: req.params.orderNumber, deleted_at: null }).lean();
+      if (currentOrder) return sendVersionConflict(res, currentOrder);
+    }
+    sendError(res, 500, error.message);
+  }
+};
 
+export const cancelOrder = (req, res) =>
+  changeOrderStatus(req, res, () => 'Cancelled', 'Order cancelled successfully');
 
+export const reopenOrder = (req, res) =>
+  changeOrderStatus(req, res, order => deriveOrderStatus({ ...order.toObject(), order_status: null }), 'Order reopened successfully');
@@ -0,0 +1,19 @@
+import { getPresenceReport } from '../services/presenceService.js';
+import { isDispatcher } from '../middleware/auth.js';
+import { isTeam } from '../config/teams.js';
+import { sendError } from '../utils/errors.js';
+
+// Team members only see their own team next to the dispatchers, as over the socket
+export const getPresence = async (req, res) => {
+  try {
+    const team = isDispatcher(req.user) ? req.query.team : req.user.team;
+    if (team && !isTeam(team)) {
+      return sendError(res, 400, 'Invalid team');
+    }
+
+    res.json(await getPresenceReport({ team }));
+  } catch (error) {
+    console.error('Error fetching presence:', error);
+    sendError(res, 500, error.message);
+  }
+};
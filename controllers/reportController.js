@@ -0,0 +1,92 @@
+import { getThroughput, getLeadTime, getBacklog, getTopCustomers, getRejectionRates } from '../services/reportService.js';
+import { parseDateRange } from '../utils/orderQuery.js';
+import { TEAMS } from '../config/teams.js';
+import { sendError } from '../utils/errors.js';
+
+export const throughputReport = async (req, res) => {
+  try {
+    const { period = 'day', team } = req.query;
+    if (!['day', 'week'].includes(period)) {
+      return sendError(res, 400, 'period must be day or week');
+    }
+    if (team && !TEAMS.includes(team)) {
+      return sendError(res, 400, 'Invalid team');
+    }
+
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return sendError(res, 400, range.error);
+    }
+
+    const data = await getThroughput({ period, team, ...range });
+    res.json({ period, data });
+  } catch (error) {
+    console.error('Error building throughput report:', error);
+    sendError(res, 500, error.message);
+  }
+};
+
+export const rejectionReport = async (req, res) => {
+  try {
+    const { group = 'team', team } = req.query;
+    if (!['team', 'product'].includes(group)) {
+      return sendError(res, 400, 'group must be team or product');
+    }
+    if (team && !TEAMS.includes(team)) {
+      return sendError(res, 400, 'Invalid team');
+    }
+
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return sendError(res, 400, range.error);
+    }
+
+    const data = await getRejectionRates({ groupBy: group, team, ...range });
+    res.json({ group, data });
+  } catch (error) {
+    console.error('Error building rejection report:', error);
+    sendError(res, 500, error.message);
+  }
+};
+
+export const leadTimeReport = async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return sendError(res, 400, range.error);
+    }
+
+    res.json(await getLeadTime(range));
+  } catch (error) {
+    console.error('Error building lead time report:', error);
+    sendError(res, 500, error.message);
+  }
+};
+
+export const backlogReport = async (req, res) => {
+  try {
+    res.json({ data: await getBacklog() });
+  } catch (error) {
+    console.error('Error building backlog report:', error);
+    sendError(res, 500, error.message);
+  }
+};
+
+export const topCustomersReport = async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return sendError(res, 400, 'limit must be an integer between 1 and 100');
+    }
+
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return sendError(res, 400, range.error);
+    }
+
+    res.json({ data: await getTopCustomers({ limit, ...range }) });
+  } catch (error) {
+    console.error('Error building top customers report:', error);
+    sendError(res, 500, error.message);
+  }
+};
@@ -0,0 +1,259 @@
+import mongoose from 'mongoose';
+import Order from '../config/db.js';
+import Shipment from '../models/Shipment.js';
+import { nextSequence } from '../models/Counter.js';
+import { SECTIONS, ITEM_NAME_FIELDS } from '../config/teams.js';
+import { canTransition } from '../config/orderStatus.js';
+import { deriveOrderStatus, completedAtFor, finishedQty } from '../utils/orderItems.js';
+import { recordAudit } from '../services/auditService.js';
+import { broadcastOrderEvent } from '../config/socket.js';
+import { sendVersionConflict, setVersionHeader } from '../utils/concurrency.js';
+import { sendError, sendUnexpectedError } from '../utils/errors.js';
+
+const actorFor = (user) => ({ user_id: user.userId, name: user.name });
+
+const findItem = (order, section, itemId) =>
+  (order.order_details[section] || []).find(item => item._id.toString() === itemId?.toString());
+
+// Re-derives the order status after dispatch quantities change.
+// Returns an error message when the move is not an allowed transition.
+const applyDerivedStatus = (order) => {
+  const previousStatus = order.order_status;
+  const nextStatus = deriveOrderStatus(order);
+  if (!canTransition(previousStatus, nextStatus)) {
+    return `Order cannot move from ${previousStatus} to ${nextStatus}`;
+  }
+
+  order.order_status = nextStatus;
+  order.completed_at = completedAtFor(nextStatus, order.completed_at);
+  return null;
+};
+
+// The order's quantities and the shipment are saved together: if either write fails
+// (for example the order changed meanwhile) neither is kept
+const saveWithShipment = async (order, shipment) => {
+  const session = await Order.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await shipment.save({ session });
+      await order.save({ validateModifiedOnly: true, session });
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Numbers run per order from a counter, so dispatches at the same time never share one.
+// Orders shipped before the counter existed continue from their shipment count.
+const nextShipmentNumber = async (order) => {
+  const existing = await Shipment.countDocuments({ order_id: order._id });
+  const seq = await nextSequence(`shipment:${order._id}`, { after: existing });
+  return `${order.order_number}-S${seq}`;
+};
+
+const sendShipmentError = async (res, error, action, orderNumber) => {
+  console.error(`Shipment ${action} error:`, error);
+  if (error.name === 'VersionError' && orderNumber) {
+    const currentOrder = await Order.findOne({ order_number: orderNumber, deleted_at: null }).lean();
+    if (currentOrder) return sendVersionConflict(res, currentOrder);
+  }
+  sendUnexpectedError(res, error, 'Another shipment was created at the same time. Try again.');
+};
+
+const broadcastStatusChange = (order, previousStatus, user) => {
+  if (order.order_status !== previousStatus) {
+    broadcastOrderEvent('order-status-changed', order, { changedBy: user, previousStatus, status: order.order_status });
+  }
+};
+
+export const getShipments = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.order_number) query.order_number = req.query.order_number;
+    if (req.query.status) query.status = req.query.status;
+
+    const shipments = await Shipment.find(query).sort({ dispatched_at: -1 }).lean();
+    res.json(shipments);
+  } catch (error) {
+    sendShipmentError(res, error, 'list');
+  }
+};
+
+export const getShipment = async (req, res) => {
+  try {
+    const shipment = await Shipment.findById(req.params.id).lean();
+    if (!shipment) {
+      return sendError(res, 404, 'Shipment not found');
+    }
+    res.json(shipment);
+  } catch (error) {
+    sendShipmentError(res, error, 'fetch');
+  }
+};
+
+// Dispatches part or all of an order. Only quantities the teams have completed
+// and that are not already on another shipment can be dispatched.
+export const createShipment = async (req, res) => {
+  const { order_number, items, vehicle_number, driver_name, challan_number, invoice_number } = req.body;
+
+  try {
+    if (!order_number || !Array.isArray(items) || items.length === 0) {
+      return sendError(res, 400, 'Invalid request. Required: order_number and items array');
+    }
+
+    const order = await Order.findOne({ order_number, deleted_at: null });
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+    if (['Cancelled', 'Delivered', 'Dispatched'].includes(order.order_status)) {
+      return sendError(res, 400, `Cannot dispatch an order that is ${order.order_status}`);
+    }
+
+    const before = order.toObject();
+    const previousStatus = order.order_status;
+    const errors = [];
+    const shipmentItems = [];
+
+    items.forEach(({ section, item_id, quantity }, index) => {
+      const item = SECTIONS.includes(section) && findItem(order, section, item_id);
+      if (!item) {
+        errors.push({ index, message: `Item ${item_id} not found in ${section}` });
+        return;
+      }
+
+      const available = finishedQty(item) - (item.dispatched_qty || 0);
+      if (!Number.isInteger(quantity) || quantity <= 0 || quantity > available) {
+        errors.push({ index, message: `Quantity for item ${item_id} must be between 1 and ${available}` });
+        return;
+      }
+
+      item.dispatched_qty = (item.dispatched_qty || 0) + quantity;
+      shipmentItems.push({ section, item_id: item._id, name: item[ITEM_NAME_FIELDS[section]], quantity });
+    });
+
+    if (errors.length > 0) {
+      return sendError(res, 400, 'Invalid shipment items', { details: errors });
+    }
+
+    const transitionError = applyDerivedStatus(order);
+    if (transitionError) {
+      return sendError(res, 400, transitionError);
+    }
+
+    const shipment = new Shipment({
+      shipment_number: await nextShipmentNumber(order),
+      order_id: order._id,
+      order_number: order.order_number,
+      items: shipmentItems,
+      vehicle_number,
+      driver_name,
+      challan_number,
+      invoice_number,
+      dispatched_by: actorFor(req.user)
+    });
+    await saveWithShipment(order, shipment);
+
+    await recordAudit({ action: 'dispatch', before, after: order, user: req.user });
+    broadcastOrderEvent('order-dispatched', order, { dispatchedBy: req.user, shipment });
+    broadcastStatusChange(order, previousStatus, req.user);
+
+    setVersionHeader(res, order);
+    res.status(201).json({
+      success: true,
+      message: '✅ Shipment Created Successfully',
+      shipment,
+      order
+    });
+  } catch (error) {
+    sendShipmentError(res, error, 'create', order_number);
+  }
+};
+
+// Shared by delivery confirmation and cancellation: both adjust the order's item
+// quantities for every line on the shipment, then re-derive the order status
+const settleShipment = async (req, res, { action, auditAction, event, apply }) => {
+  let orderNumber;
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return sendError(res, 400, 'Invalid ID format');
+    }
+
+    const shipment = await Shipment.findById(req.params.id);
+    if (!shipment) {
+      return sendError(res, 404, 'Shipment not found');
+    }
+    if (shipment.status !== 'Dispatched') {
+      return sendError(res, 400, `Shipment is already ${shipment.status}`);
+    }
+
+    orderNumber = shipment.order_number;
+    const order = await Order.findOne({ _id: shipment.order_id, deleted_at: null });
+    if (!order) {
+      return sendError(res, 404, 'Order not found');
+    }
+
+    const before = order.toObject();
+    const previousStatus = order.order_status;
+
+    shipment.items.forEach(line => {
+      const item = findItem(order, line.section, line.item_id);
+      if (item) apply.item(item, line.quantity);
+    });
+
+    const transitionError = applyDerivedStatus(order);
+    if (transitionError) {
+      return sendError(res, 400, transitionError);
+    }
+
+    apply.shipment(shipment);
+    await saveWithShipment(order, shipment);
+
+    await recordAudit({ action: auditAction, before, after: order, user: req.user });
+    broadcastOrderEvent(event, order, { updatedBy: req.user, shipment });
+    broadcastStatusChange(order, previousStatus, req.user);
+
+    setVersionHeader(res, order);
+    res.json({
+      success: true,
+      message: `Shipment ${action} successfully`,
+      shipment,
+      order
+    });
+  } catch (error) {
+    sendShipmentError(res, error, action, orderNumber);
+  }
+};
+
+export const confirmDelivery = (req, res) =>
+  settleShipment(req, res, {
+    action: 'delivered',
+    auditAction: 'delivery',
+    event: 'shipment-delivered',
+    apply: {
+      item: (item, quantity) => { item.delivered_qty = (item.delivered_qty || 0) + quantity; },
+      shipment: (shipment) => {
+        shipment.status = 'Delivered';
+        shipment.delivered_at = req.body.delivered_at ? new Date(req.body.delivered_at) : new Date();
+        shipment.received_by = req.body.received_by;
+        shipment.delivery_note = req.body.note;
+        shipment.delivery_confirmed_by = actorFor(req.user);
+      }
+    }
+  });
+
+// Cancelling a shipment returns its quantities to the order as not yet dispatched
+export const cancelShipment = (req, res) =>
+  settleShipment(req, res, {
+    action: 'cancelled',
+    auditAction: 'dispatch',
+    event: 'shipment-cancelled',
+    apply: {
+      item: (item, quantity) => { item.dispatched_qty = Math.max((item.dispatched_qty || 0) - quantity, 0); },
+      shipment: (shipment) => {
+        shipment.status = 'Cancelled';
+        shipment.cancelled_at = new Date();
+        shipment.cancelled_by = actorFor(req.user);
+        shipment.cancel_reason = req.body.reason;
+      }
+    }
+  });
@@ -0,0 +1,105 @@
+import Team from '../models/Team.js';
+import Order from '../config/db.js';
+import { CLOSED_STATUSES } from '../config/orderStatus.js';
+import { applyTeamChange } from '../services/teamService.js';
+import { sendError, sendUnexpectedError } from '../utils/errors.js';
+
+const sendTeamError = (res, error, action) => {
+  console.error(`Team ${action} error:`, error);
+  sendUnexpectedError(res, error, 'A team with this key or section already exists');
+};
+
+// A team still owning items on open orders cannot be deactivated
+const deactivationError = async (team) => {
+  if (!team.section) return null;
+
+  const openOrders = await Order.countDocuments({
+    deleted_at: null,
+    order_status: { $nin: CLOSED_STATUSES },
+    [`order_details.${team.section}.0`]: { $exists: true }
+  });
+  return openOrders > 0 ? `${openOrders} open order(s) still have ${team.section} items` : null;
+};
+
+export const getTeams = async (req, res) => {
+  try {
+    const query = req.query.active === 'all' ? {} : { active: req.query.active !== 'false' };
+    const teams = await Team.find(query).sort({ createdAt: 1 }).lean();
+    res.json(teams);
+  } catch (error) {
+    sendTeamError(res, error, 'list');
+  }
+};
+
+export const createTeam = async (req, res) => {
+  try {
+    const { key, name, section, item_name_field } = req.body;
+    const team = await Team.create({ key, name, section: section || null, item_name_field });
+    await applyTeamChange();
+
+    res.status(201).json({
+      success: true,
+      message: '✅ Team Created Successfully',
+      team
+    });
+  } catch (error) {
+    sendTeamError(res, error, 'create');
+  }
+};
+
+// A team's key and section are fixed once orders and users refer to them
+export const updateTeam = async (req, res) => {
+  try {
+    const team = await Team.findOne({ key: req.params.key });
+    if (!team) {
+      return sendError(res, 404, 'Team not found');
+    }
+
+    if (req.body.active === false && team.active) {
+      const blocked = await deactivationError(team);
+      if (blocked) {
+        return sendError(res, 409, blocked);
+      }
+    }
+
+    if (req.body.name !== undefined) team.name = req.body.name;
+    if (req.body.active !== undefined) team.active = req.body.active;
+    await team.save();
+    await applyTeamChange();
+
+    res.json({
+      success: true,
+      message: 'Team updated successfully',
+      team
+    });
+  } catch (error) {
+    sendTeamError(res, error, 'update');
+  }
+};
+
+// Teams stay referenced by users and past orders, so deleting only deactivates them
+export const deleteTeam = async (req, res) => {
+  try {
+    const team = await Team.findOne({ key: req.params.key });
+    if (!team) {
+      return sendError(res, 404, 'Team not found');
+    }
+
+    const blocked = await deactivationError(team);
+    if (blocked) {
+      return sendError(res, 409, blocked);
+    }
+
+    team.active = false;
+    await team.save();
+    await applyTeamChange();
+
+    res.json({
+      success: true,
+      message: 'Team deactivated successfully',
+      team
+    });
+  } catch (error) {
+    sendTeamError(res, error, 'delete');
+  }
+};
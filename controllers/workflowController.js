@@ -0,0 +1,93 @@
+import WorkflowTemplate from '../models/Workflow.js';
+import { getStageQueue } from '../services/workflowService.js';
+import { ALL_TEAMS } from '../config/teams.js';
+import { sendError, sendUnexpectedError } from '../utils/errors.js';
+
+// Fields clients may set; timestamps and ids are managed by the schema
+const EDITABLE_FIELDS = ['name', 'family', 'decoration_type', 'stages', 'active'];
+
+const editableFields = (body = {}) =>
+  Object.fromEntries(Object.entries(body).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+
+const sendWorkflowError = (res, error, action) => {
+  console.error(`Workflow ${action} error:`, error);
+  sendUnexpectedError(res, error, 'An active workflow already exists for this family and decoration type');
+};
+
+export const getWorkflows = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.active !== 'all') query.active = req.query.active !== 'false';
+    if (typeof req.query.family === 'string') query.family = req.query.family;
+
+    const workflows = await WorkflowTemplate.find(query).sort({ family: 1, decoration_type: 1 }).lean();
+    res.json(workflows);
+  } catch (error) {
+    sendWorkflowError(res, error, 'list');
+  }
+};
+
+export const createWorkflow = async (req, res) => {
+  try {
+    const workflow = await WorkflowTemplate.create(editableFields(req.body));
+    res.status(201).json({
+      success: true,
+      message: '✅ Workflow Created Successfully',
+      workflow
+    });
+  } catch (error) {
+    sendWorkflowError(res, error, 'create');
+  }
+};
+
+// Changes apply to items created afterwards; existing items keep their stages
+export const updateWorkflow = async (req, res) => {
+  try {
+    const workflow = await WorkflowTemplate.findById(req.params.id);
+    if (!workflow) {
+      return sendError(res, 404, 'Workflow not found');
+    }
+
+    workflow.set(editableFields(req.body));
+    await workflow.save();
+
+    res.json({
+      success: true,
+      message: 'Workflow updated successfully',
+      workflow
+    });
+  } catch (error) {
+    sendWorkflowError(res, error, 'update');
+  }
+};
+
+export const deleteWorkflow = async (req, res) => {
+  try {
+    const workflow = await WorkflowTemplate.findByIdAndUpdate(req.params.id, { active: false }, { new: true });
+    if (!workflow) {
+      return sendError(res, 404, 'Workflow not found');
+    }
+
+    res.json({
+      success: true,
+      message: 'Workflow deactivated successfully',
+      workflow
+    });
+  } catch (error) {
+    sendWorkflowError(res, error, 'delete');
+  }
+};
+
+// Work waiting at a team's stages; team members always see their own team's queue
+export const getQueue = async (req, res) => {
+  try {
+    const team = req.user.role === 'team_member' ? req.user.team : req.query.team;
+    if (!ALL_TEAMS.includes(team)) {
+      return sendError(res, 400, 'Invalid team');
+    }
+
+    res.json({ team, items: await getStageQueue(team) });
+  } catch (error) {
+    sendWorkflowError(res, error, 'queue');
+  }
+};
@@ -0,0 +1,68 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { TEAM_SECTIONS } from '../config/teams.js';
+import { sendError } from '../utils/errors.js';
+
+export const signToken = (user) =>
+  jwt.sign(
+    { sub: user._id.toString(), role: user.role, team: user.team },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '12h' }
+  );
+
+// Shared by the Express middleware and the Socket.IO handshake
+export const verifyToken = async (token) => {
+  if (!token || !process.env.JWT_SECRET) return null;
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  const user = await User.findById(payload.sub).lean();
+  if (!user || !user.active) return null;
+
+  return {
+    userId: user._id.toString(),
+    username: user.username,
+    name: user.name,
+    role: user.role,
+    team: user.team
+  };
+};
+
+const extractToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' ? token : null;
+};
+
+export const authenticate = async (req, res, next) => {
+  try {
+    const user = await verifyToken(extractToken(req));
+    if (!user) {
+      return sendError(res, 401, 'Authentication required');
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    sendError(res, 500, error.message);
+  }
+};
+
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return sendError(res, 403, 'You do not have permission to perform this action');
+  }
+  next();
+};
+
+export const isDispatcher = (user) => user?.role === 'admin' || user?.role === 'dispatcher';
+
+// Only the team that owns a section (or an admin) may log progress against it
+export const canUpdateSection = (user, section) =>
+  user?.role === 'admin' || (user?.role === 'team_member' && TEAM_SECTIONS[user.team] === section);
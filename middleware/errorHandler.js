@@ -0,0 +1,24 @@
+import { sendError } from '../utils/errors.js';
+
+// Last in the chain: errors thrown outside the controllers' own try/catch, such as
+// malformed JSON bodies or rejected uploads, still get the standard error envelope
+export const handleErrors = (error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+  if (error.type === 'entity.too.large' || error.code === 'LIMIT_FILE_SIZE') {
+    return sendError(res, 413, 'Request is too large');
+  }
+  if (error.name === 'MulterError') {
+    return sendError(res, 400, error.message, { code: 'INVALID_UPLOAD' });
+  }
+
+  console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, error);
+  sendError(res, 500, 'Something went wrong');
+};
+
+// Unknown routes answer in the same format as everything else
+export const handleNotFound = (req, res) =>
+  sendError(res, 404, `Cannot ${req.method} ${req.originalUrl}`);
@@ -0,0 +1,17 @@
+import { validatePayload } from '../utils/validation.js';
+import { sendError } from '../utils/errors.js';
+
+// Checks req.params, req.query and req.body against the given field rules before the
+// controller runs, answering 400 with field-level details when anything is off
+export const validate = ({ params, query, body }) => (req, res, next) => {
+  const details = [
+    ...(params ? validatePayload(req.params, params) : []),
+    ...(query ? validatePayload(req.query, query) : []),
+    ...(body ? validatePayload(req.body, body) : [])
+  ];
+
+  if (details.length > 0) {
+    return sendError(res, 400, 'Invalid request', { details });
+  }
+  next();
+};
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import { appendOnly } from './appendOnly.js';
+
+export const AUDIT_ACTIONS = ['create', 'edit', 'progress', 'delete', 'restore', 'purge', 'status', 'dispatch', 'delivery', 'correction'];
+
+const auditLogSchema = new mongoose.Schema({
+  order_id: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  order_number: { type: String, required: true, index: true },
+  action: { type: String, enum: AUDIT_ACTIONS, required: true },
+  actor: {
+    user_id: String,
+    name: String,
+    role: String,
+    team: String
+  },
+  // Order section the change applies to, e.g. "caps" for a progress entry
+  team: String,
+  changes: [{
+    _id: false,
+    path: { type: String, required: true },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  timestamp: { type: Date, default: Date.now, immutable: true }
+}, {
+  minimize: false
+});
+
+auditLogSchema.plugin(appendOnly, { label: 'Audit log entries' });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
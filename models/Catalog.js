@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// Every product family shares these fields; family-specific ones are added per model
+const baseFields = {
+  name: { type: String, required: true, trim: true },
+  // Lower-cased name used for uniqueness and case-insensitive lookups
+  name_key: { type: String, unique: true },
+  description: String,
+  active: { type: Boolean, default: true }
+};
+
+const catalogModel = (modelName, collection, fields) => {
+  const schema = new mongoose.Schema({ ...baseFields, ...fields }, {
+    collection,
+    timestamps: true
+  });
+
+  schema.pre('validate', function () {
+    if (this.name) this.name_key = this.name.trim().toLowerCase();
+  });
+
+  return mongoose.model(modelName, schema);
+};
+
+export const GlassProduct = catalogModel('GlassProduct', 'catalog_glass', {
+  neck_size: { type: String, required: true, trim: true },
+  weight: { type: String, trim: true }
+});
+
+export const CapProduct = catalogModel('CapProduct', 'catalog_caps', {
+  neck_size: { type: String, required: true, trim: true },
+  // Allowed values for the order item's process/material; empty means any
+  processes: [String],
+  materials: [String]
+});
+
+export const BoxProduct = catalogModel('BoxProduct', 'catalog_boxes', {
+  dimensions: String
+});
+
+export const PumpProduct = catalogModel('PumpProduct', 'catalog_pumps', {
+  neck_type: { type: String, required: true, trim: true }
+});
+
+// Catalog model for each order_details section
+export const CATALOG_MODELS = {
+  glass: GlassProduct,
+  caps: CapProduct,
+  boxes: BoxProduct,
+  pumps: PumpProduct
+};
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// A message on an order's thread, or on the thread of one item when item_id is set
+const commentSchema = new mongoose.Schema({
+  order_id: { type: mongoose.Schema.Types.ObjectId, required: true },
+  order_number: { type: String, required: true },
+  section: { type: String, default: null },
+  item_id: { type: mongoose.Schema.Types.ObjectId, default: null },
+  body: { type: String, required: true, trim: true, maxlength: 2000 },
+  author: {
+    user_id: { type: String, required: true },
+    name: String,
+    role: String,
+    team: String
+  },
+  // Users named with @username in the body
+  mentions: [{
+    _id: false,
+    user_id: { type: String, required: true },
+    username: String,
+    name: String
+  }],
+  deleted_at: { type: Date, default: null },
+  created_at: { type: Date, default: Date.now, immutable: true }
+});
+
+commentSchema.index({ order_id: 1, item_id: 1, created_at: 1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+export default Comment;
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// Named counters shared by every server process
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+}, {
+  versionKey: false
+});
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+// Atomically increments and returns the counter, starting at 1. `count` reserves that many
+// numbers at once and returns the last of them. `after` raises a new or lagging counter
+// first, for numbers that were handed out before the counter existed.
+export const nextSequence = async (name, { count = 1, after = 0 } = {}) => {
+  if (after > 0) {
+    await Counter.updateOne({ _id: name }, { $max: { seq: after } }, { upsert: true });
+  }
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: count } },
+    { upsert: true, new: true }
+  );
+  return counter.seq;
+};
+
+export default Counter;
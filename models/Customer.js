@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+const addressSchema = new mongoose.Schema({
+  label: { type: String, trim: true },
+  line1: { type: String, required: true, trim: true },
+  line2: { type: String, trim: true },
+  city: { type: String, trim: true },
+  state: { type: String, trim: true },
+  postal_code: { type: String, trim: true },
+  country: { type: String, trim: true, default: 'India' }
+});
+
+const customerSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  contact_person: { type: String, trim: true },
+  phone: { type: String, trim: true },
+  email: { type: String, trim: true, lowercase: true },
+  gst_number: { type: String, trim: true, uppercase: true, unique: true, sparse: true },
+  addresses: [addressSchema],
+  notes: String,
+  active: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+customerSchema.index({ name: 1 });
+
+const Customer = mongoose.model('Customer', customerSchema);
+
+export default Customer;
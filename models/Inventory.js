@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import { appendOnly } from './appendOnly.js';
+import { isSection } from '../config/teams.js';
+
+const { ObjectId } = mongoose.Schema.Types;
+
+export const STOCK_KINDS = ['raw_material', 'finished_good'];
+
+export const MOVEMENT_TYPES = [
+  'receipt',
+  'issue',
+  'adjustment',
+  'transfer_in',
+  'transfer_out',
+  'production_consume',
+  'production_output',
+  'production_reversal'
+];
+
+const stockItemSchema = new mongoose.Schema({
+  sku: { type: String, required: true, unique: true, trim: true, uppercase: true },
+  name: { type: String, required: true, trim: true },
+  kind: { type: String, enum: STOCK_KINDS, required: true },
+  unit: { type: String, required: true, default: 'pcs' },
+  // Total on hand across locations at or below this level raises a low-stock alert
+  reorder_level: { type: Number, default: 0, min: 0 },
+  active: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+const stockLocationSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, trim: true, uppercase: true },
+  name: { type: String, required: true, trim: true },
+  description: String,
+  active: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+// Running balance per item and location, kept in step with the movement ledger
+const stockLevelSchema = new mongoose.Schema({
+  stock_item_id: { type: ObjectId, ref: 'StockItem', required: true },
+  location_id: { type: ObjectId, ref: 'StockLocation', required: true },
+  quantity: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+stockLevelSchema.index({ stock_item_id: 1, location_id: 1 }, { unique: true });
+
+// Append-only ledger; quantity is signed (negative for stock leaving the location)
+const stockMovementSchema = new mongoose.Schema({
+  stock_item_id: { type: ObjectId, ref: 'StockItem', required: true, index: true },
+  location_id: { type: ObjectId, ref: 'StockLocation', required: true },
+  quantity: { type: Number, required: true },
+  type: { type: String, enum: MOVEMENT_TYPES, required: true },
+  reference: {
+    order_id: ObjectId,
+    order_number: { type: String, index: true },
+    section: String,
+    item_id: ObjectId,
+    entry_id: ObjectId
+  },
+  actor: {
+    user_id: String,
+    name: String
+  },
+  note: String,
+  timestamp: { type: Date, default: Date.now, immutable: true }
+});
+
+stockMovementSchema.plugin(appendOnly, { label: 'Stock movements' });
+
+// What producing one unit of a catalog product consumes and yields
+const productionRecipeSchema = new mongoose.Schema({
+  section: { type: String, required: true, validate: { validator: isSection, message: 'Unknown section {VALUE}' } },
+  product_id: { type: ObjectId, required: true },
+  location_id: { type: ObjectId, ref: 'StockLocation', required: true },
+  materials: [{
+    _id: false,
+    stock_item_id: { type: ObjectId, ref: 'StockItem', required: true },
+    quantity_per_unit: { type: Number, required: true, min: 0 }
+  }],
+  output_stock_item_id: { type: ObjectId, ref: 'StockItem' },
+  active: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+productionRecipeSchema.index({ section: 1, product_id: 1 }, { unique: true });
+
+export const StockItem = mongoose.model('StockItem', stockItemSchema);
+export const StockLocation = mongoose.model('StockLocation', stockLocationSchema);
+export const StockLevel = mongoose.model('StockLevel', stockLevelSchema);
+export const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+export const ProductionRecipe = mongoose.model('ProductionRecipe', productionRecipeSchema);
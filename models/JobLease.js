@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+// Which server process currently runs a background job, and until when
+const jobLeaseSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  holder: { type: String, required: true },
+  expires_at: { type: Date, required: true }
+}, {
+  versionKey: false
+});
+
+const JobLease = mongoose.model('JobLease', jobLeaseSchema);
+
+export default JobLease;
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_TYPES = ['new-order', 'order-edited', 'item-completed', 'order-completed', 'order-overdue', 'mention'];
+
+// NOTIFICATION_RETENTION_DAYS: how long notifications stay in the inbox, read or not
+const retentionDays = () => {
+  const days = Number(process.env.NOTIFICATION_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 90;
+};
+
+// One inbox entry for one user
+const notificationSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+  title: { type: String, required: true },
+  message: { type: String, default: '' },
+  order_id: { type: mongoose.Schema.Types.ObjectId, default: null },
+  order_number: { type: String, default: null },
+  // Details for the client, e.g. the items concerned
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  read_at: { type: Date, default: null },
+  created_at: { type: Date, default: Date.now, immutable: true }
+}, {
+  minimize: false
+});
+
+notificationSchema.index({ user_id: 1, read_at: 1, created_at: -1 });
+notificationSchema.index({ created_at: 1 }, { expireAfterSeconds: retentionDays() * 24 * 60 * 60 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
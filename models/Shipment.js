@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+import { isSection } from '../config/teams.js';
+
+const { ObjectId } = mongoose.Schema.Types;
+
+export const SHIPMENT_STATUSES = ['Dispatched', 'Delivered', 'Cancelled'];
+
+const actorSchema = {
+  user_id: String,
+  name: String
+};
+
+const shipmentSchema = new mongoose.Schema({
+  shipment_number: { type: String, required: true, unique: true },
+  order_id: { type: ObjectId, ref: 'Order', required: true, index: true },
+  order_number: { type: String, required: true, index: true },
+  items: [{
+    _id: false,
+    section: { type: String, required: true, validate: { validator: isSection, message: 'Unknown section {VALUE}' } },
+    item_id: { type: ObjectId, required: true },
+    name: String,
+    quantity: { type: Number, required: true, min: 1 }
+  }],
+  vehicle_number: { type: String, trim: true, uppercase: true },
+  driver_name: { type: String, trim: true },
+  challan_number: { type: String, trim: true },
+  invoice_number: { type: String, trim: true },
+  status: { type: String, enum: SHIPMENT_STATUSES, default: 'Dispatched' },
+  dispatched_at: { type: Date, default: Date.now },
+  dispatched_by: actorSchema,
+  delivered_at: Date,
+  received_by: { type: String, trim: true },
+  delivery_note: String,
+  delivery_confirmed_by: actorSchema,
+  cancelled_at: Date,
+  cancelled_by: actorSchema,
+  cancel_reason: String
+}, {
+  timestamps: true
+});
+
+const Shipment = mongoose.model('Shipment', shipmentSchema);
+
+export default Shipment;
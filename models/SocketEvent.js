@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// EVENT_LOG_RETENTION_HOURS bounds how far back a reconnecting client can catch up
+const retentionHours = () => {
+  const hours = Number(process.env.EVENT_LOG_RETENTION_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : 72;
+};
+
+// Every event broadcast to socket rooms, numbered in the order it was sent
+const socketEventSchema = new mongoose.Schema({
+  seq: { type: Number, required: true, unique: true },
+  event: { type: String, required: true },
+  rooms: { type: [String], index: true },
+  // Set for events about a single order, so legacy clients can ask what happened to it
+  order_id: { type: mongoose.Schema.Types.ObjectId, default: null, index: true },
+  payload: mongoose.Schema.Types.Mixed,
+  // Clients that confirmed receipt; client_id tells apart devices of the same user
+  acknowledged_by: [{
+    _id: false,
+    user_id: { type: String, required: true },
+    client_id: { type: String, required: true },
+    at: { type: Date, default: Date.now }
+  }],
+  created_at: { type: Date, default: Date.now, immutable: true }
+}, {
+  minimize: false
+});
+
+socketEventSchema.index({ created_at: 1 }, { expireAfterSeconds: retentionHours() * 60 * 60 });
+socketEventSchema.index({ 'acknowledged_by.user_id': 1, 'acknowledged_by.client_id': 1, seq: -1 });
+
+const SocketEvent = mongoose.model('SocketEvent', socketEventSchema);
+
+export default SocketEvent;
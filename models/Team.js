@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// A production team. Teams with a section own that list of items on every order;
+// teams without one only work on workflow stages.
+const teamSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    immutable: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Team key may only contain lowercase letters, digits and underscores'],
+    // "dispatchers" is the socket room shared by admins and dispatchers
+    validate: { validator: key => key !== 'dispatchers', message: 'dispatchers is a reserved name' }
+  },
+  name: { type: String, required: true, trim: true },
+  section: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null,
+    immutable: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Section may only contain lowercase letters, digits and underscores']
+  },
+  // Item field holding the product name in the team's section, e.g. "label_name"
+  item_name_field: {
+    type: String,
+    trim: true,
+    immutable: true,
+    default: function () { return this.section ? `${this.key}_name` : null; }
+  },
+  active: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+teamSchema.index({ section: 1 }, { unique: true, partialFilterExpression: { section: { $type: 'string' } } });
+
+const Team = mongoose.model('Team', teamSchema);
+
+export default Team;
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import { isTeam } from '../config/teams.js';
+import { NOTIFICATION_TYPES } from './Notification.js';
+
+export const ROLES = ['admin', 'dispatcher', 'team_member'];
+
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String, required: true, trim: true },
+  password_hash: { type: String, required: true, select: false },
+  role: { type: String, enum: ROLES, required: true },
+  team: {
+    type: String,
+    default: null,
+    validate: { validator: team => team === null || isTeam(team), message: 'Unknown team {VALUE}' },
+    // Team members must belong to exactly one production or stage team
+    required: function () { return this.role === 'team_member'; }
+  },
+  active: { type: Boolean, default: true },
+  last_login_at: Date,
+  // When the user's last connected device went offline
+  last_seen_at: Date,
+  // Notification types the user has turned off
+  muted_notification_types: [{ type: String, enum: NOTIFICATION_TYPES }]
+}, {
+  timestamps: true
+});
+
+userSchema.methods.setPassword = async function (password) {
+  this.password_hash = await bcrypt.hash(password, 10);
+};
+
+userSchema.methods.comparePassword = function (password) {
+  return bcrypt.compare(password, this.password_hash);
+};
+
+userSchema.methods.toJSON = function () {
+  const { password_hash, __v, ...user } = this.toObject();
+  return user;
+};
+
+const User = mongoose.model('User', userSchema);
+
+export default User;
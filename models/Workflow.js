@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+import { isSection, isTeam } from '../config/teams.js';
+
+const workflowStageSchema = new mongoose.Schema({
+  key: { type: String, required: true, trim: true, lowercase: true },
+  name: { type: String, required: true, trim: true },
+  team: { type: String, required: true, validate: { validator: isTeam, message: 'Unknown team {VALUE}' } }
+}, {
+  _id: false
+});
+
+// Stages an item goes through after its section team has produced it. A template
+// applies to one product family, optionally only to items with a given decoration type.
+const workflowTemplateSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  family: { type: String, required: true, validate: { validator: isSection, message: 'Unknown product family {VALUE}' } },
+  decoration_type: { type: String, trim: true, lowercase: true, default: null },
+  stages: {
+    type: [workflowStageSchema],
+    validate: [
+      { validator: stages => stages.length > 0, message: 'A workflow needs at least one stage' },
+      { validator: stages => new Set(stages.map(stage => stage.key)).size === stages.length, message: 'Stage keys must be unique' }
+    ]
+  },
+  active: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+// One active template per family and decoration type
+workflowTemplateSchema.index(
+  { family: 1, decoration_type: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+
+const WorkflowTemplate = mongoose.model('WorkflowTemplate', workflowTemplateSchema);
+
+export default WorkflowTemplate;
@@ -0,0 +1,17 @@
+const MUTATING_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+// Schema plugin for ledgers: documents can be inserted but never rewritten or removed
+export const appendOnly = (schema, { label = 'Entries' } = {}) => {
+  const rejectMutation = function () {
+    throw new Error(`${label} cannot be modified or deleted`);
+  };
+
+  MUTATING_QUERIES.forEach(op => {
+    schema.pre(op, rejectMutation);
+  });
+
+  schema.pre('save', function () {
+    if (!this.isNew) rejectMutation();
+  });
+};
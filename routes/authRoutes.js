@@ -0,0 +1,15 @@
+import express from 'express';
+import { login, getCurrentUser, createUser, getUsers, updateUser } from '../controllers/authController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { loginRules, createUserRules, updateUserRules } from '../validators/authValidators.js';
+
+const router = express.Router();
+
+router.post('/login', validate(loginRules), login);
+router.get('/me', authenticate, getCurrentUser);
+router.get('/users', authenticate, authorize('admin'), getUsers);
+router.post('/users', authenticate, authorize('admin'), validate(createUserRules), createUser);
+router.put('/users/:id', authenticate, authorize('admin'), validate(updateUserRules), updateUser);
+
+export default router;
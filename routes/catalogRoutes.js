@@ -0,0 +1,15 @@
+import express from 'express';
+import { getProducts, getProduct, createProduct, updateProduct, deleteProduct } from '../controllers/catalogController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/:family', getProducts);
+router.get('/:family/:id', getProduct);
+router.post('/:family', authorize('admin', 'dispatcher'), createProduct);
+router.put('/:family/:id', authorize('admin', 'dispatcher'), updateProduct);
+router.delete('/:family/:id', authorize('admin', 'dispatcher'), deleteProduct);
+
+export default router;
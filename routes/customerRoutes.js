@@ -0,0 +1,16 @@
+import express from 'express';
+import { getCustomers, getCustomer, createCustomer, updateCustomer, deleteCustomer, getCustomerOrders } from '../controllers/customerController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin', 'dispatcher'));
+
+router.get('/', getCustomers);
+router.post('/', createCustomer);
+router.get('/:id', getCustomer);
+router.get('/:id/orders', getCustomerOrders);
+router.put('/:id', updateCustomer);
+router.delete('/:id', deleteCustomer);
+
+export default router;
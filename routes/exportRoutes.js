@@ -0,0 +1,12 @@
+import express from 'express';
+import { exportOrders, exportProductionEntries } from '../controllers/exportController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin', 'dispatcher'));
+
+router.get('/orders', exportOrders);
+router.get('/production-entries', exportProductionEntries);
+
+export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+import {
+  getStockItems,
+  createStockItem,
+  updateStockItem,
+  getLocations,
+  createLocation,
+  updateLocation,
+  getStockLevels,
+  getMovements,
+  createMovement,
+  getRecipes,
+  saveRecipe,
+  deleteRecipe
+} from '../controllers/inventoryController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/items', getStockItems);
+router.post('/items', authorize('admin', 'dispatcher'), createStockItem);
+router.put('/items/:id', authorize('admin', 'dispatcher'), updateStockItem);
+
+router.get('/locations', getLocations);
+router.post('/locations', authorize('admin', 'dispatcher'), createLocation);
+router.put('/locations/:id', authorize('admin', 'dispatcher'), updateLocation);
+
+router.get('/levels', getStockLevels);
+router.get('/movements', getMovements);
+router.post('/movements', authorize('admin', 'dispatcher'), createMovement);
+
+router.get('/recipes', authorize('admin', 'dispatcher'), getRecipes);
+router.post('/recipes', authorize('admin', 'dispatcher'), saveRecipe);
+router.delete('/recipes/:id', authorize('admin', 'dispatcher'), deleteRecipe);
+
+export default router;
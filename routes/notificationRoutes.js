@@ -0,0 +1,18 @@
+import express from 'express';
+import { getNotifications, getUnreadCount, markRead, markAllRead, getNotificationPreferences, updateNotificationPreferences } from '../controllers/notificationController.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { notificationIdRules, preferencesRules } from '../validators/notificationValidators.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.get('/preferences', getNotificationPreferences);
+router.put('/preferences', validate(preferencesRules), updateNotificationPreferences);
+router.post('/read-all', markAllRead);
+router.patch('/:id/read', validate(notificationIdRules), markRead);
+
+export default router;
@@ -1,13 +1,34 @@
 import express from 'express';
-import { createOrder, getOrders,filterOrders, updateOrderProgress, updateOrder, deleteOrder } from '../controllers/orderController.js';
+import multer from 'multer';
+import { createOrder, getOrders,filterOrders, updateOrderProgress, updateStageProgress, voidProgressEntry, correctProgressEntry, updateOrder, deleteOrder, getOrderHistory, getTrashedOrders, restoreOrder, cancelOrder, reopenOrder } from '../controllers/orderController.js';
+import { importOrders } from '../controllers/importController.js';
+import { getComments, addComment, deleteComment } from '../controllers/commentController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { createOrderRules, updateOrderRules, progressRules, stageProgressRules, correctEntryRules, voidEntryRules, statusChangeRules, orderNumberRules, commentListRules, addCommentRules, deleteCommentRules } from '../validators/orderValidators.js';
 
 const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
 
-router.post('/', createOrder); 
-router.get('/', getOrders); 
+router.use(authenticate);
+
+router.post('/', authorize('admin', 'dispatcher'), validate(createOrderRules), createOrder); 
+router.get('/', authorize('admin', 'dispatcher'), getOrders); 
+router.post('/import', authorize('admin', 'dispatcher'), upload.single('file'), importOrders)
+router.get('/trash', authorize('admin', 'dispatcher'), getTrashedOrders)
 router.get('/:orderType' , filterOrders)
-router.patch('/update-progress' , updateOrderProgress)
-router.put('/:id', updateOrder)
-router.delete('/:orderNumber', deleteOrder);
+router.get('/:orderNumber/history', authorize('admin', 'dispatcher'), validate(orderNumberRules), getOrderHistory)
+router.patch('/update-progress' , authorize('admin', 'team_member'), validate(progressRules), updateOrderProgress)
+router.patch('/update-stage-progress', authorize('admin', 'team_member'), validate(stageProgressRules), updateStageProgress)
+router.patch('/:orderNumber/progress/:entryId', authorize('admin', 'team_member'), validate(correctEntryRules), correctProgressEntry)
+router.post('/:orderNumber/progress/:entryId/void', authorize('admin', 'team_member'), validate(voidEntryRules), voidProgressEntry)
+router.put('/:id', authorize('admin', 'dispatcher'), validate(updateOrderRules), updateOrder)
+router.get('/:orderNumber/comments', validate(commentListRules), getComments)
+router.post('/:orderNumber/comments', validate(addCommentRules), addComment)
+router.delete('/:orderNumber/comments/:commentId', validate(deleteCommentRules), deleteComment)
+router.post('/:orderNumber/restore', authorize('admin', 'dispatcher'), validate(orderNumberRules), restoreOrder)
+router.post('/:orderNumber/cancel', authorize('admin', 'dispatcher'), validate(statusChangeRules), cancelOrder)
+router.post('/:orderNumber/reopen', authorize('admin', 'dispatcher'), validate(statusChangeRules), reopenOrder)
+router.delete('/:orderNumber', authorize('admin', 'dispatcher'), validate(orderNumberRules), deleteOrder);
 
 export default router;
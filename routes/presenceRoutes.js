@@ -0,0 +1,11 @@
+import express from 'express';
+import { getPresence } from '../controllers/presenceController.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', getPresence);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { throughputReport, rejectionReport, leadTimeReport, backlogReport, topCustomersReport } from '../controllers/reportController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin', 'dispatcher'));
+
+router.get('/throughput', throughputReport);
+router.get('/rejections', rejectionReport);
+router.get('/lead-time', leadTimeReport);
+router.get('/backlog', backlogReport);
+router.get('/top-customers', topCustomersReport);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { getShipments, getShipment, createShipment, confirmDelivery, cancelShipment } from '../controllers/shipmentController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin', 'dispatcher'));
+
+router.get('/', getShipments);
+router.post('/', createShipment);
+router.get('/:id', getShipment);
+router.post('/:id/deliver', confirmDelivery);
+router.post('/:id/cancel', cancelShipment);
+
+export default router;
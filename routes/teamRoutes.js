@@ -0,0 +1,14 @@
+import express from 'express';
+import { getTeams, createTeam, updateTeam, deleteTeam } from '../controllers/teamController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', getTeams);
+router.post('/', authorize('admin'), createTeam);
+router.put('/:key', authorize('admin'), updateTeam);
+router.delete('/:key', authorize('admin'), deleteTeam);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import { getWorkflows, createWorkflow, updateWorkflow, deleteWorkflow, getQueue } from '../controllers/workflowController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { createWorkflowRules, updateWorkflowRules } from '../validators/workflowValidators.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', getWorkflows);
+router.get('/queue', getQueue);
+router.post('/', authorize('admin'), validate(createWorkflowRules), createWorkflow);
+router.put('/:id', authorize('admin'), validate(updateWorkflowRules), updateWorkflow);
+router.delete('/:id', authorize('admin'), deleteWorkflow);
+
+export default router;
@@ -0,0 +1,24 @@
+// Usage: node scripts/createUser.js <username> <password> <role> [team] [name]
+// Bootstraps the first admin account, since /auth/users requires an admin token.
+import mongoose from 'mongoose';
+import '../config/db.js';
+import User from '../models/User.js';
+
+const [username, password, role, team, name] = process.argv.slice(2);
+
+if (!username || !password || !role) {
+  console.error('Usage: node scripts/createUser.js <username> <password> <role> [team] [name]');
+  process.exit(1);
+}
+
+try {
+  const user = new User({ username, name: name || username, role, team: team || null });
+  await user.setPassword(password);
+  await user.save();
+  console.log(`✅ Created ${role} user ${user.username}`);
+} catch (error) {
+  console.error('❌ Could not create user:', error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -4,7 +4,33 @@ import cors from 'cors';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import orderRoutes from './routes/orderRoutes.js';
-import './config/db.js';
+import authRoutes from './routes/authRoutes.js';
+import reportRoutes from './routes/reportRoutes.js';
+import exportRoutes from './routes/exportRoutes.js';
+import catalogRoutes from './routes/catalogRoutes.js';
+import customerRoutes from './routes/customerRoutes.js';
+import inventoryRoutes from './routes/inventoryRoutes.js';
+import shipmentRoutes from './routes/shipmentRoutes.js';
+import workflowRoutes from './routes/workflowRoutes.js';
+import teamRoutes from './routes/teamRoutes.js';
+import presenceRoutes from './routes/presenceRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import { verifyToken, isDispatcher } from './middleware/auth.js';
+import { handleErrors, handleNotFound } from './middleware/errorHandler.js';
+import { setIO, userRoom, teamsForOrder, orderEventsSent } from './config/socket.js';
+import { createSocketAdapter } from './config/socketAdapter.js';
+import { isTeam } from './config/teams.js';
+import { startTrashPurge } from './services/trashService.js';
+import { startSlaMonitor } from './services/slaService.js';
+import { startTeamSync } from './services/teamService.js';
+import { trackSocket, untrackSocket, recordHeartbeat, broadcastPresence, startPresenceSweeper } from './services/presenceService.js';
+import { unreadCount } from './services/notificationService.js';
+import { getMissedEvents, acknowledgeEvents, lastAcknowledgedSeq, getOrderDelivery } from './services/eventLogService.js';
+import Order from './config/db.js';
+import { errorBody } from './utils/errors.js';
+import { validatePayload } from './utils/validation.js';
+import { orderReferencePayload } from './validators/orderValidators.js';
+import { eventAckPayload, replayPayload } from './validators/eventValidators.js';
 
 dotenv.config();
 
@@ -18,8 +44,10 @@ app.use(cors({
     "Authorization", 
     "Accept", 
     "X-Requested-With", 
-    "Access-Control-Allow-Origin"  // Allowing more common headers
+    "Access-Control-Allow-Origin",  // Allowing more common headers
+    "If-Match"  // Order version for optimistic concurrency
   ],
+  exposedHeaders: ["ETag"],
   credentials: true,  // Enable credentials (cookies, HTTP authentication)
   preflightContinue: false,  // Handle preflight request automatically
   optionsSuccessStatus: 204  // Response status for preflight requests (fix for some browsers like IE)
@@ -29,12 +57,26 @@ app.use(cors({
 
 const PORT = process.env.PORT || 5000;
 
+app.use('/auth', authRoutes);
 app.use('/orders', orderRoutes);
+app.use('/reports', reportRoutes);
+app.use('/exports', exportRoutes);
+app.use('/catalog', catalogRoutes);
+app.use('/customers', customerRoutes);
+app.use('/inventory', inventoryRoutes);
+app.use('/shipments', shipmentRoutes);
+app.use('/workflows', workflowRoutes);
+app.use('/teams', teamRoutes);
+app.use('/presence', presenceRoutes);
+app.use('/notifications', notificationRoutes);
 
 app.get('/', (req, res) => {
   res.send('✅ Pragati Glass Order Management API is Running!');
 });
 
+app.use(handleNotFound);
+app.use(handleErrors);
+
 
 const httpServer = createServer(app);
 
@@ -47,409 +89,321 @@ const io = new Server(httpServer, {
   }
 });
 
-
-const connectedUsers = new Map();
-
-const teamMembers = {
-  dispatchers: new Set(),
-  glass: new Set(),
-  cap: new Set(),
-  box: new Set(),
-  pump: new Set()
-};
-
-const userIdentities = new Map(); 
+// Connected sockets and room broadcasts are shared between server processes by the adapter
+const socketAdapter = await createSocketAdapter();
+await setIO(io, socketAdapter);
+console.log(`🔗 Socket adapter: ${socketAdapter.name}`);
+
+// Every socket must present a valid token; identity is never taken from the client
+io.use(async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token || socket.handshake.query?.token;
+    const user = await verifyToken(token);
+    if (!user) {
+      const error = new Error('Authentication required');
+      error.data = errorBody(401, 'Authentication required');
+      return next(error);
+    }
+    socket.data.user = user;
+    // clientId tells apart devices of one user; lastSeq is the last event sequence the client saw
+    const { clientId, lastSeq } = { ...socket.handshake.query, ...socket.handshake.auth };
+    socket.data.client = { user_id: String(user.userId), client_id: clientId ? String(clientId).slice(0, 100) : 'default' };
+    socket.data.lastSeq = lastSeq !== undefined && Number.isInteger(Number(lastSeq)) && Number(lastSeq) >= 0 ? Number(lastSeq) : null;
+    next();
+  } catch (error) {
+    console.error('❌ Socket authentication error:', error);
+    const authError = new Error('Authentication failed');
+    authError.data = errorBody(401, 'Authentication failed');
+    next(authError);
+  }
+});
 
 io.on('connection', (socket) => {
   console.log(`🔌 New connection: ${socket.id}`);
 
-  const { userId, role, team, teamType } = socket.handshake.query;
-  if (userId && role) {
-    const userInfo = {
-      socketId: socket.id,
-      userId,
-      role,
-      team: team?.toLowerCase().trim(),
-      teamType: teamType?.toLowerCase().trim(),
-      connected: true,
-      connectedAt: new Date().toISOString()
-    };
-
-    connectedUsers.set(socket.id, userInfo);
-    userIdentities.set(userId, socket.id);
-
-    addUserToTeams(socket, userInfo);
-
-    broadcastConnectedUsers();
-  }
-
-  socket.on('register', (userData) => {
-    const { userId, role, team, teamType } = userData;
+  registerUser();
+  replayMissedEvents(socket.data.lastSeq);
+  sendUnreadCount();
 
-    const uniqueId = userId || socket.id;
+  // Kept for older clients; the payload is ignored in favour of the verified token
+  socket.on('register', async () => {
+    const userInfo = await registerUser();
 
-    const userInfo = {
-      socketId: socket.id,
-      userId: uniqueId,
-      role,
-      team: team?.toLowerCase().trim(),
-      teamType: teamType?.toLowerCase().trim(),
-      connected: true,
-      connectedAt: new Date().toISOString()
-    };
+    console.log(`📝 User registered: ${userInfo.role}${userInfo.team ? ', ' + userInfo.team : ''} (${socket.id})`);
 
-    removeUserFromTeams(socket.id);
-
-    connectedUsers.set(socket.id, userInfo);
-    userIdentities.set(uniqueId, socket.id);
-
-    console.log(`📝 User registered: ${role}${team ? ', ' + team : ''} (${socket.id})`);
-
-    addUserToTeams(socket, userInfo);
     socket.emit('registered', {
       success: true,
       user: {
         socketId: socket.id,
-        role,
-        team: team?.toLowerCase().trim(),
-        teamType: teamType?.toLowerCase().trim()
+        userId: userInfo.userId,
+        role: userInfo.role,
+        team: userInfo.team
       }
     });
-
-    broadcastConnectedUsers();
   });
 
+  async function registerUser() {
+    const userInfo = { ...socket.data.user };
+    const rooms = addUserToTeams(socket, userInfo);
+
+    try {
+      await trackSocket(socket, rooms);
+    } catch (error) {
+      console.error('❌ Error recording connected socket:', error);
+    }
+
+    broadcastPresence({ force: true });
+    return userInfo;
+  }
+
+  function requireDispatcher(errorEvent) {
+    if (isDispatcher(socket.data.user)) return true;
+    socket.emit(errorEvent, errorBody(403, 'You do not have permission to perform this action'));
+    return false;
+  }
+
+  // Payloads of the legacy order events must reference an order by _id or order_number
+  function isValidOrderPayload(payload, errorEvent) {
+    const details = validatePayload(payload, orderReferencePayload);
+    if (details.length === 0) return true;
+    socket.emit(errorEvent, errorBody(400, 'Invalid order data', { details }));
+    return false;
+  }
 
+  // Joins the socket to its rooms and returns the shared ones; the user's own room is left out
   function addUserToTeams(socket, userInfo) {
-    const { role, team, teamType } = userInfo;
+    const { userId, role, team } = userInfo;
+    const rooms = [];
+
+    socket.join(userRoom(userId));
 
     // Handle admin/dispatcher role
     if (role === 'admin' || role === 'dispatcher') {
-      // Add to dispatchers team
-      teamMembers.dispatchers.add(socket.id);
       socket.join('dispatchers');
+      rooms.push('dispatchers');
       console.log(`🔌 User joined dispatchers room`);
     }
 
-    // Handle team membership - add to specific team if provided
-    if (team) {
-      const normalizedTeam = team.toLowerCase().trim();
-
-      // Only join valid team rooms
-      if (teamMembers[normalizedTeam]) {
-        teamMembers[normalizedTeam].add(socket.id);
-        socket.join(normalizedTeam);
-        console.log(`🔌 User joined ${normalizedTeam} room`);
-      }
+    // Team members join the room of the team on their account
+    if (team && isTeam(team)) {
+      socket.join(team);
+      rooms.push(team);
+      console.log(`🔌 User joined ${team} room`);
     }
+    return rooms;
+  }
 
-    // Also join based on teamType if it's different from team
-    if (teamType && teamType !== team) {
-      const normalizedTeamType = teamType.toLowerCase().trim();
-
-      if (teamMembers[normalizedTeamType]) {
-        teamMembers[normalizedTeamType].add(socket.id);
-        socket.join(normalizedTeamType);
-        console.log(`🔌 User joined ${normalizedTeamType} room based on teamType`);
-      }
+  async function sendUnreadCount() {
+    try {
+      socket.emit('notifications-unread', { count: await unreadCount(socket.data.user.userId) });
+    } catch (error) {
+      console.error('❌ Error counting unread notifications:', error);
     }
   }
 
-  socket.on('ping', (callback) => {
-    if (typeof callback === 'function') {
-      callback({ time: new Date().toISOString() });
+  // Resends events for this socket's rooms logged after `since`. Without one, replay resumes
+  // after the last event this client acknowledged; a client never seen before has nothing
+  // to catch up on. Live events may arrive while a replay is running, so clients drop
+  // sequence numbers they have already handled.
+  async function replayMissedEvents(since) {
+    try {
+      const lastSeq = since ?? await lastAcknowledgedSeq(socket.data.client);
+      if (lastSeq === null) return;
+
+      const rooms = [...socket.rooms].filter(room => room !== socket.id);
+      const { events, truncated } = await getMissedEvents(rooms, lastSeq);
+      events.forEach(({ seq, event, payload }) => socket.emit(event, payload, { seq, replayed: true }));
+
+      socket.emit('replay-complete', {
+        since: lastSeq,
+        count: events.length,
+        lastSeq: events.length > 0 ? events[events.length - 1].seq : lastSeq,
+        truncated
+      });
+    } catch (error) {
+      console.error('❌ Error replaying missed events:', error);
+      socket.emit('replay-error', errorBody(500, error.message));
     }
-  });
-
-
-  socket.on('disconnect', () => {
-    console.log(`🔌 User disconnected: ${socket.id}`);
-
-    const userInfo = connectedUsers.get(socket.id);
-
-    removeUserFromTeams(socket.id);
-
-    connectedUsers.delete(socket.id);
-
-    broadcastConnectedUsers();
-  });
-
-  socket.on('create-order', (data) => {
-    const { order, teamTypes, timestamp } = data;
-    const user = connectedUsers.get(socket.id);
+  }
 
-    if (!order) {
-      console.error('❌ Invalid order data received');
-      socket.emit('order-create-error', { error: 'Invalid order data' });
+  socket.on('replay', (payload = {}) => {
+    const details = validatePayload(payload, replayPayload);
+    if (details.length > 0) {
+      socket.emit('replay-error', errorBody(400, 'Invalid replay request', { details }));
       return;
     }
+    replayMissedEvents(payload.since);
+  });
 
-    console.log(`📝 New order created by ${user?.role || 'unknown'}: Order #${order.order_number}`);
-
-    // Determine target teams
-    let targetTeams = teamTypes || [];
-    if (!targetTeams.length) {
-      if (order.order_details?.glass?.length > 0) targetTeams.push('glass');
-      if (order.order_details?.caps?.length > 0) targetTeams.push('cap');
-      if (order.order_details?.boxes?.length > 0) targetTeams.push('box');
-      if (order.order_details?.pumps?.length > 0) targetTeams.push('pump');
+  // Clients confirm the sequence numbers they have handled
+  socket.on('ack', async (payload = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const details = validatePayload(payload, eventAckPayload);
+    if (details.length > 0) {
+      reply(errorBody(400, 'Invalid acknowledgement', { details }));
+      return;
     }
 
-    if (targetTeams.length === 0) {
-      console.warn(`⚠️ No target teams identified for order #${order.order_number}`);
-      targetTeams = ['unassigned'];
+    try {
+      await acknowledgeEvents(socket.data.client, payload.seqs);
+      reply({ success: true });
+    } catch (error) {
+      console.error('❌ Error recording event acknowledgement:', error);
+      reply(errorBody(500, error.message));
     }
-
-    const normalizedTeams = targetTeams.map(team => team.toLowerCase().trim());
-    console.log(`📢 Broadcasting new order to teams: ${normalizedTeams.join(', ')}`);
-
-    // Create the meta information for all broadcasts
-    const metaInfo = {
-      createdBy: user,
-      timestamp: timestamp || new Date().toISOString(),
-      targetTeams: normalizedTeams
-    };
-
-    // Send to each specific team
-    normalizedTeams.forEach(team => {
-      console.log(`📤 Emitting to room: ${team}`);
-      io.to(team).emit('new-order', {
-        order,
-        _meta: metaInfo
-      });
-    });
-
-    // Always broadcast to dispatchers
-    io.to('dispatchers').emit('new-order', {
-      order,
-      _meta: metaInfo
-    });
-
-
-    socket.emit('order-create-confirmed', {
-      orderId: order._id,
-      orderNumber: order.order_number,
-      status: 'delivered',
-      targetTeams: normalizedTeams,
-      timestamp: new Date().toISOString()
-    });
   });
 
-  socket.on('order-update', (data) => {
-    const { order, teamType, timestamp } = data;
-    console.log(`📦 Order update received from ${teamType}: Order #${order.order_number}`);
-    const user = connectedUsers.get(socket.id);
-
-    // Determine which teams should receive this update
-    const targetTeams = [];
-    const details = order.order_details || {};
-
-    if (Array.isArray(details.glass) && details.glass.length > 0) targetTeams.push('glass');
-    if (Array.isArray(details.caps) && details.caps.length > 0) targetTeams.push('cap');
-    if (Array.isArray(details.boxes) && details.boxes.length > 0) targetTeams.push('box');
-    if (Array.isArray(details.pumps) && details.pumps.length > 0) targetTeams.push('pump');
-
-    // Create meta information
-    const metaInfo = {
-      updatedBy: user,
-      teamType,
-      timestamp: timestamp || new Date().toISOString(),
-      targetTeams
-    };
-
-    // Send to each specific team
-    targetTeams.forEach(team => {
-      console.log(`📤 Emitting order update to room: ${team}`);
-      io.to(team).emit('order-updated', {
-        order,
-        _meta: metaInfo
-      });
-    });
-
-    // Always broadcast to dispatchers
-    console.log(`📢 Broadcasting order update to dispatchers`);
-    io.to('dispatchers').emit('order-updated', {
-      order,
-      _meta: metaInfo
-    });
-
-    socket.emit('order-update-confirmed', {
-      orderId: order._id,
-      status: 'delivered',
-      timestamp: new Date().toISOString()
-    });
-  });
+  // Clients ping as a heartbeat, optionally with { active: false } when nobody has used the
+  // device for a while; older clients send only the callback
+  socket.on('ping', async (payload, callback) => {
+    const reply = typeof payload === 'function' ? payload : callback;
+    const active = payload?.active !== false;
 
-  // Handle order edits with improved implementation
-  socket.on('edit-order', ({ order, teamTypes }) => {
-    console.log(`✏️ Order edited: #${order.order_number}`);
-    const user = connectedUsers.get(socket.id);
-
-    // Default to all relevant teams if not specified
-    let targetTeams = teamTypes || [];
-    if (!targetTeams.length) {
-      const details = order.order_details || {};
-      if (details.glass?.length > 0) targetTeams.push('glass');
-      if (details.caps?.length > 0) targetTeams.push('cap');
-      if (details.boxes?.length > 0) targetTeams.push('box');
-      if (details.pumps?.length > 0) targetTeams.push('pump');
+    try {
+      if (await recordHeartbeat(socket.id, { active })) broadcastPresence();
+    } catch (error) {
+      console.error('❌ Error recording heartbeat:', error);
     }
 
-    console.log(`🔁 Notifying teams:`, targetTeams);
-
-
-    const metaInfo = {
-      editedBy: user,
-      timestamp: new Date().toISOString(),
-      targetTeams
-    };
-
-
-    targetTeams.forEach(team => {
-      io.to(team).emit('order-edited', order);
-      console.log(`📤 Emitting edited order to room: ${team}`);
-    });
+    if (typeof reply === 'function') {
+      reply({ time: new Date().toISOString() });
+    }
+  });
 
-    io.to('dispatchers').emit('order-edited', order);
+  // Any other event from the client also counts as activity
+  socket.onAny((event) => {
+    if (event === 'ping') return;
+    recordHeartbeat(socket.id)
+      .then(changed => changed && broadcastPresence())
+      .catch(error => console.error('❌ Error recording activity:', error));
   });
 
 
-  socket.on('delete-order', (data) => {
-    const { order, teamTypes, timestamp } = data;
-    const user = connectedUsers.get(socket.id);
+  socket.on('disconnect', async () => {
+    console.log(`🔌 User disconnected: ${socket.id}`);
 
-    if (!order || !order._id) {
-      console.error('❌ Invalid order data received for deletion');
-      socket.emit('order-delete-error', { error: 'Invalid order data' });
-      return;
+    try {
+      await untrackSocket(socket.id);
+    } catch (error) {
+      console.error('❌ Error removing disconnected socket:', error);
     }
 
-    console.log(`🗑️ Order deletion request from ${user?.role || 'unknown'}: Order #${order.order_number}`);
+    broadcastPresence();
+  });
 
-    let normalizedTeams = teamTypes || [];
-    if (!normalizedTeams.length) {
-      const details = order.order_details || {};
-      if (details.glass?.length > 0) normalizedTeams.push('glass');
-      if (details.caps?.length > 0) normalizedTeams.push('cap');
-      if (details.boxes?.length > 0) normalizedTeams.push('box');
-      if (details.pumps?.length > 0) normalizedTeams.push('pump');
+  // Order events are broadcast by the REST controllers once the write is persisted.
+  // These legacy client events are only checked against the database and acknowledged.
+  async function findPersistedOrder(order) {
+    if (order?._id && /^[0-9a-fA-F]{24}$/.test(order._id)) {
+      return Order.findOne({ _id: order._id, deleted_at: null }).lean();
     }
+    if (order?.order_number) {
+      return Order.findOne({ order_number: order.order_number, deleted_at: null }).lean();
+    }
+    return null;
+  }
 
+  socket.on('create-order', async (payload = {}) => {
+    if (!requireDispatcher('order-create-error')) return;
+    if (!isValidOrderPayload(payload, 'order-create-error')) return;
+    const { order } = payload;
 
-    const metaInfo = {
-      deletedBy: user,
-      timestamp: timestamp || new Date().toISOString(),
-      targetTeams: normalizedTeams
-    };
-
+    try {
+      const persisted = await findPersistedOrder(order);
+      if (!persisted) {
+        socket.emit('order-create-error', errorBody(404, 'Order has not been saved'));
+        return;
+      }
 
-    if (normalizedTeams.length > 0) {
-      console.log(`📢 Broadcasting order deletion to teams: ${normalizedTeams.join(', ')}`);
-      normalizedTeams.forEach(team => {
-        const roomName = team.toLowerCase().trim();
-        io.to(roomName).emit('order-deleted', {
-          order,
-          _meta: metaInfo
-        });
+      // Reports what actually happened to the broadcast rather than assuming delivery,
+      // once the event the REST write queued has gone out
+      await orderEventsSent(persisted._id);
+      const delivery = await getOrderDelivery(persisted._id);
+      socket.emit('order-create-confirmed', {
+        orderId: persisted._id,
+        orderNumber: persisted.order_number,
+        ...delivery,
+        targetTeams: teamsForOrder(persisted),
+        timestamp: new Date().toISOString()
       });
+    } catch (error) {
+      console.error('❌ Error validating created order:', error);
+      socket.emit('order-create-error', errorBody(500, error.message));
     }
+  });
 
+  socket.on('order-update', async (payload = {}) => {
+    if (!isValidOrderPayload(payload, 'order-update-error')) return;
+    const { order } = payload;
 
-    io.to('dispatchers').emit('order-deleted', {
-      order,
-      _meta: metaInfo
-    });
-
+    try {
+      const persisted = await findPersistedOrder(order);
+      if (!persisted) {
+        socket.emit('order-update-error', errorBody(404, 'Order not found'));
+        return;
+      }
 
-    socket.emit('order-delete-confirmed', {
-      orderId: order._id,
-      orderNumber: order.order_number,
-      status: 'deleted',
-      timestamp: new Date().toISOString()
-    });
+      await orderEventsSent(persisted._id);
+      const delivery = await getOrderDelivery(persisted._id);
+      socket.emit('order-update-confirmed', {
+        orderId: persisted._id,
+        ...delivery,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error validating order update:', error);
+      socket.emit('order-update-error', errorBody(500, error.message));
+    }
   });
 
+  socket.on('edit-order', async (payload = {}) => {
+    if (!requireDispatcher('order-edit-error')) return;
+    if (!isValidOrderPayload(payload, 'order-edit-error')) return;
+    const { order } = payload;
 
-  function removeUserFromTeams(socketId) {
-    if (teamMembers.dispatchers.has(socketId)) {
-      teamMembers.dispatchers.delete(socketId);
-    }
-
-    for (const team of ['glass', 'cap', 'box', 'pump']) {
-      if (teamMembers[team].has(socketId)) {
-        teamMembers[team].delete(socketId);
+    try {
+      const persisted = await findPersistedOrder(order);
+      if (!persisted) {
+        socket.emit('order-edit-error', errorBody(404, 'Order not found'));
       }
+    } catch (error) {
+      console.error('❌ Error validating order edit:', error);
+      socket.emit('order-edit-error', errorBody(500, error.message));
     }
-  }
+  });
 
-  setInterval(() => {
+  socket.on('delete-order', async (payload = {}) => {
+    if (!requireDispatcher('order-delete-error')) return;
+    if (!isValidOrderPayload(payload, 'order-delete-error')) return;
+    const { order } = payload;
 
-    for (const [socketId, user] of connectedUsers.entries()) {
-      const socket = io.sockets.sockets.get(socketId);
-      if (!socket || socket.disconnected) {
-        console.log(`🧹 Cleaning up stale connection: ${socketId}`);
-        connectedUsers.delete(socketId);
-        removeUserFromTeams(socketId);
+    try {
+      const persisted = await findPersistedOrder(order);
+      if (persisted) {
+        socket.emit('order-delete-error', errorBody(409, 'Order has not been deleted'));
+        return;
       }
-    }
-  
-    broadcastConnectedUsers();
-  }, 30000); 
-  
-
-  function broadcastConnectedUsers() {
-    // Prepare dispatchersList
-    const dispatchersList = Array.from(teamMembers.dispatchers).map(socketId => {
-      const user = connectedUsers.get(socketId);
-      return {
-        userId: user?.userId || socketId,
-        connected: true,
-        lastActive: new Date().toISOString()
-      };
-    });
 
-    // Prepare team lists
-    const teamLists = {};
-    const allTeamMembers = [];
-
-    for (const [teamName, socketIds] of Object.entries(teamMembers)) {
-      if (teamName === 'dispatchers') continue; // Skip dispatchers as they're handled separately
-
-      const teamUsers = Array.from(socketIds).map(socketId => {
-        const user = connectedUsers.get(socketId);
-        return {
-          userId: user?.userId || socketId,
-          team: teamName,
-          connected: true,
-          lastActive: new Date().toISOString()
-        };
+      socket.emit('order-delete-confirmed', {
+        orderId: order._id,
+        orderNumber: order.order_number,
+        status: 'deleted',
+        timestamp: new Date().toISOString()
       });
-
-      teamLists[teamName] = teamUsers;
-      allTeamMembers.push(...teamUsers);
+    } catch (error) {
+      console.error('❌ Error validating order deletion:', error);
+      socket.emit('order-delete-error', errorBody(500, error.message));
     }
+  });
 
-
-    io.to('dispatchers').emit('connected-users', {
-      dispatchers: dispatchersList,
-      teamMembers: allTeamMembers,
-      teams: teamLists
-    });
-    for (const teamName of ['glass', 'cap', 'box', 'pump']) {
-  
-      if (teamMembers[teamName].size > 0) {
-        const teamInfo = {
-          teamMembers: teamLists[teamName] || [],
-          dispatchers: dispatchersList
-        };
-
-        io.to(teamName).emit('connected-users', teamInfo);
-      }
-    }
-  }
 });
 
 httpServer.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📱 Socket.IO server ready for connections`);
+  // Every process keeps its own team list; purge and SLA checks run on one process at a time
+  startTeamSync();
+  startTrashPurge();
+  startSlaMonitor();
+  startPresenceSweeper();
 });
\ No newline at end of file
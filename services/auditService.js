@@ -0,0 +1,34 @@
+import AuditLog from '../models/AuditLog.js';
+import { diffObjects } from '../utils/diff.js';
+
+export const actorFromUser = (user) => ({
+  user_id: user?.userId,
+  name: user?.name,
+  role: user?.role,
+  team: user?.team
+});
+
+// Audit failures are logged rather than thrown: the order write has already succeeded
+export const recordAudit = async ({ action, before = null, after = null, user, team }) => {
+  const reference = after || before;
+  try {
+    await AuditLog.create({
+      order_id: reference._id,
+      order_number: reference.order_number,
+      action,
+      actor: actorFromUser(user),
+      team,
+      changes: diffObjects(before, after)
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record ${action} audit for order #${reference?.order_number}:`, error);
+  }
+};
+
+// History follows the order across renames by resolving every id that ever used this number
+export const getOrderHistory = async (orderNumber) => {
+  const orderIds = await AuditLog.distinct('order_id', { order_number: orderNumber });
+  if (orderIds.length === 0) return [];
+
+  return AuditLog.find({ order_id: { $in: orderIds } }).sort({ timestamp: 1, _id: 1 }).lean();
+};
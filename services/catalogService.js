@@ -0,0 +1,115 @@
+import { CATALOG_MODELS } from '../models/Catalog.js';
+import { ITEM_NAME_FIELDS, SECTIONS } from '../config/teams.js';
+
+// Attributes copied from the catalog onto order items; a conflicting value is an error
+const CATALOG_ATTRIBUTES = {
+  glass: ['neck_size', 'weight'],
+  caps: ['neck_size'],
+  boxes: [],
+  pumps: ['neck_type']
+};
+
+// Item fields restricted to a list on the catalog entry (when the list is not empty)
+const CATALOG_OPTIONS = {
+  caps: { process: 'processes', material: 'materials' }
+};
+
+// Cross-section rules checked on the whole order
+const COMPATIBILITY_RULES = [
+  {
+    section: 'caps',
+    field: 'neck_size',
+    against: 'glass',
+    againstField: 'neck_size',
+    message: (value) => `Cap neck size ${value} does not match any glass neck size in the order`
+  }
+];
+
+const sameValue = (a, b) => a?.toString().trim().toLowerCase() === b?.toString().trim().toLowerCase();
+
+const itemPath = (section, index, field) => `order_details.${section}[${index}].${field}`;
+
+// entries: [{ section, index, item }]. Items are normalised in place (canonical name,
+// product_id, attributes filled from the catalog). Returns a list of field errors.
+export const validateItemsAgainstCatalog = async (entries) => {
+  const errors = [];
+
+  for (const section of SECTIONS) {
+    const sectionEntries = entries.filter(entry => entry.section === section);
+    // Sections added at runtime have no catalog, and a family is only enforced once it has
+    // products; until then its items stay free text
+    if (sectionEntries.length === 0 || !Object.hasOwn(CATALOG_MODELS, section)) continue;
+    if (!await CATALOG_MODELS[section].exists({})) continue;
+
+    const nameField = ITEM_NAME_FIELDS[section];
+    const keys = [...new Set(sectionEntries.map(({ item }) => item[nameField]?.toString().trim().toLowerCase()))];
+    const products = await CATALOG_MODELS[section].find({ name_key: { $in: keys }, active: true }).lean();
+    const productsByKey = new Map(products.map(product => [product.name_key, product]));
+
+    sectionEntries.forEach(({ index, item }) => {
+      const product = productsByKey.get(item[nameField]?.toString().trim().toLowerCase());
+      if (!product) {
+        errors.push({ field: itemPath(section, index, nameField), message: `"${item[nameField]}" is not an active ${section} catalog product` });
+        return;
+      }
+
+      item[nameField] = product.name;
+      item.product_id = product._id;
+
+      (CATALOG_ATTRIBUTES[section] || []).forEach(attribute => {
+        if (!product[attribute]) return;
+        if (!item[attribute]) {
+          item[attribute] = product[attribute];
+        } else if (!sameValue(item[attribute], product[attribute])) {
+          errors.push({
+            field: itemPath(section, index, attribute),
+            message: `${attribute} must be ${product[attribute]} for ${product.name}`
+          });
+        }
+      });
+
+      Object.entries(CATALOG_OPTIONS[section] || {}).forEach(([field, optionsField]) => {
+        const options = product[optionsField] || [];
+        if (item[field] && options.length > 0 && !options.some(option => sameValue(option, item[field]))) {
+          errors.push({
+            field: itemPath(section, index, field),
+            message: `${field} must be one of: ${options.join(', ')}`
+          });
+        }
+      });
+    });
+  }
+
+  return errors;
+};
+
+// Checks cross-section rules such as caps fitting the glass in the same order
+export const checkCompatibility = (orderDetails = {}, sections = SECTIONS) => {
+  const errors = [];
+
+  COMPATIBILITY_RULES.forEach(rule => {
+    if (!sections.includes(rule.section) && !sections.includes(rule.against)) return;
+
+    const allowed = (orderDetails[rule.against] || []).map(item => item[rule.againstField]).filter(Boolean);
+    if (allowed.length === 0) return;
+
+    (orderDetails[rule.section] || []).forEach((item, index) => {
+      const value = item[rule.field];
+      if (value && !allowed.some(option => sameValue(option, value))) {
+        errors.push({ field: itemPath(rule.section, index, rule.field), message: rule.message(value) });
+      }
+    });
+  });
+
+  return errors;
+};
+
+// Validates every item of an order being created
+export const validateOrderDetails = async (orderDetails = {}) => {
+  const entries = SECTIONS.flatMap(section =>
+    (orderDetails[section] || []).map((item, index) => ({ section, index, item }))
+  );
+
+  const errors = await validateItemsAgainstCatalog(entries);
+  return [...errors, ...checkCompatibility(orderDetails)];
+};
@@ -0,0 +1,26 @@
+import User from '../models/User.js';
+import { isDispatcher } from '../middleware/auth.js';
+import { teamsForOrder } from '../config/socket.js';
+
+const MENTION_PATTERN = /(?:^|[^\w@])@([a-z0-9_.-]+)/gi;
+
+// Dispatchers see every order; team members only orders their team has work on
+export const canViewOrder = (user, order) =>
+  isDispatcher(user) || teamsForOrder(order).includes(user.team);
+
+export const parseMentions = (body) =>
+  [...new Set([...body.matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase().replace(/\.+$/, '')))];
+
+// Resolves @usernames to users who can see the order; the rest are returned as unresolved
+export const resolveMentions = async (body, order) => {
+  const usernames = parseMentions(body);
+  if (usernames.length === 0) return { mentions: [], unresolved: [] };
+
+  const users = await User.find({ username: { $in: usernames }, active: true }).select('username name role team').lean();
+  const mentioned = users.filter(user => canViewOrder(user, order));
+
+  return {
+    mentions: mentioned.map(user => ({ user_id: user._id.toString(), username: user.username, name: user.name })),
+    unresolved: usernames.filter(username => !mentioned.some(user => user.username === username))
+  };
+};
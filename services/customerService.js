@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+
+// When an order references a customer, its customer_name is a snapshot of the
+// record's name at the time of the write. Returns an error message or null.
+export const applyCustomerSnapshot = async (data) => {
+  if (!data.customer_id) return null;
+
+  if (!mongoose.isValidObjectId(data.customer_id)) {
+    return 'Invalid customer ID format';
+  }
+
+  const customer = await Customer.findById(data.customer_id, { name: 1, active: 1 }).lean();
+  if (!customer || !customer.active) {
+    return 'Customer not found';
+  }
+
+  data.customer_name = customer.name;
+  return null;
+};
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import SocketEvent from '../models/SocketEvent.js';
+import { nextSequence } from '../models/Counter.js';
+
+// EVENT_REPLAY_LIMIT caps how many missed events are resent on one reconnect
+export const getReplayLimit = () => {
+  const limit = Number(process.env.EVENT_REPLAY_LIMIT);
+  return Number.isInteger(limit) && limit > 0 ? limit : 500;
+};
+
+export const orderIdOf = (payload) => {
+  const id = payload?.order?._id || payload?.orderId;
+  return id && mongoose.isValidObjectId(id) ? id : null;
+};
+
+// Payloads as clients receive them over the wire: ids and dates as strings
+export const toWireFormat = (payload) => JSON.parse(JSON.stringify(payload ?? null));
+
+// Logs a batch of events, [{ event, payload, rooms }], with consecutive sequence numbers
+// reserved in one step, and returns the numbers in the same order. Payloads must already
+// be in wire format. Failures are logged rather than thrown: the events are still sent
+// live, only without sequence numbers.
+export const recordEvents = async (events) => {
+  try {
+    const last = await nextSequence('socket_events', { count: events.length });
+    const seqs = events.map((_, index) => last - events.length + 1 + index);
+    await SocketEvent.insertMany(events.map(({ event, payload, rooms }, index) => ({
+      seq: seqs[index],
+      event,
+      rooms,
+      order_id: orderIdOf(payload),
+      payload
+    })));
+    return seqs;
+  } catch (error) {
+    console.error(`❌ Failed to log ${events.length} socket event(s):`, error);
+    return events.map(() => null);
+  }
+};
+
+// Events for any of the rooms sent after `afterSeq`, oldest first. `truncated` means
+// more were missed than can be replayed and the client should reload instead.
+export const getMissedEvents = async (rooms, afterSeq, limit = getReplayLimit()) => {
+  const events = await SocketEvent.find({ seq: { $gt: afterSeq }, rooms: { $in: rooms } })
+    .sort({ seq: 1 })
+    .limit(limit + 1)
+    .lean();
+
+  return {
+    events: events.slice(0, limit),
+    truncated: events.length > limit
+  };
+};
+
+export const acknowledgeEvents = async ({ user_id, client_id }, seqs) => {
+  await SocketEvent.updateMany(
+    { seq: { $in: seqs }, acknowledged_by: { $not: { $elemMatch: { user_id, client_id } } } },
+    { $push: { acknowledged_by: { user_id, client_id, at: new Date() } } }
+  );
+};
+
+// Highest sequence the client acknowledged, or null for a client never seen before
+export const lastAcknowledgedSeq = async ({ user_id, client_id }) => {
+  const latest = await SocketEvent.findOne({ acknowledged_by: { $elemMatch: { user_id, client_id } } })
+    .sort({ seq: -1 })
+    .select('seq')
+    .lean();
+  return latest ? latest.seq : null;
+};
+
+// What happened to the latest event about an order: 'persisted' when nothing was broadcast,
+// 'sent' until a client acknowledges it, then 'acknowledged'
+export const getOrderDelivery = async (orderId) => {
+  const latest = await SocketEvent.findOne({ order_id: orderId })
+    .sort({ seq: -1 })
+    .select('seq event acknowledged_by')
+    .lean();
+
+  if (!latest) return { status: 'persisted', seq: null, acknowledgedBy: [] };
+  return {
+    status: latest.acknowledged_by.length > 0 ? 'acknowledged' : 'sent',
+    seq: latest.seq,
+    event: latest.event,
+    acknowledgedBy: latest.acknowledged_by
+  };
+};
@@ -0,0 +1,119 @@
+import Order from '../config/db.js';
+import { SECTIONS, TEAM_SECTIONS, ITEM_NAME_FIELDS, teamForSection } from '../config/teams.js';
+import { buildListFilter, sectionCompletionFilter } from '../utils/orderQuery.js';
+import { CLOSED_STATUSES } from '../config/orderStatus.js';
+import { countedQty } from '../utils/orderItems.js';
+
+export const ORDER_ITEM_COLUMNS = [
+  { header: 'Order Number', key: 'order_number' },
+  { header: 'Customer', key: 'customer_name' },
+  { header: 'Dispatcher', key: 'dispatcher_name' },
+  { header: 'Created At', key: 'created_at' },
+  { header: 'Order Status', key: 'order_status' },
+  { header: 'Team', key: 'team' },
+  { header: 'Item', key: 'item_name' },
+  { header: 'Quantity', key: 'quantity' },
+  { header: 'Neck Size', key: 'neck_size' },
+  { header: 'Weight', key: 'weight' },
+  { header: 'Decoration', key: 'decoration' },
+  { header: 'Decoration No', key: 'decoration_no' },
+  { header: 'Process', key: 'process' },
+  { header: 'Material', key: 'material' },
+  { header: 'Approval Code', key: 'approval_code' },
+  { header: 'Neck Type', key: 'neck_type' },
+  { header: 'Completed Qty', key: 'completed_qty' },
+  { header: 'Rejected Qty', key: 'rejected_qty' },
+  { header: 'Scrap Qty', key: 'scrap_qty' },
+  { header: 'Remaining Qty', key: 'remaining_qty' },
+  { header: 'Item Status', key: 'tracking_status' }
+];
+
+export const PRODUCTION_ENTRY_COLUMNS = [
+  { header: 'Order Number', key: 'order_number' },
+  { header: 'Customer', key: 'customer_name' },
+  { header: 'Team', key: 'team' },
+  { header: 'Item', key: 'item_name' },
+  { header: 'Item Quantity', key: 'quantity' },
+  { header: 'Qty Completed', key: 'qty_completed' },
+  { header: 'Rejected Qty', key: 'rejected_qty' },
+  { header: 'Scrap Qty', key: 'scrap_qty' },
+  { header: 'Reject Reason', key: 'reason_code' },
+  { header: 'Recorded At', key: 'timestamp' },
+  { header: 'Recorded By', key: 'recorded_by' }
+];
+
+// Same live/past semantics as the listing endpoints: per team section when a team is given,
+// otherwise by the overall order_status
+export const buildExportFilter = ({ status, team, from, to, search }) => {
+  const filter = { deleted_at: null, ...buildListFilter({ search, from, to }) };
+  const orderType = status === 'live' ? 'liveOrders' : status === 'past' ? 'pastOrders' : null;
+
+  if (team) {
+    if (orderType) {
+      Object.assign(filter, sectionCompletionFilter(TEAM_SECTIONS[team], orderType));
+    } else {
+      filter[`order_details.${TEAM_SECTIONS[team]}.0`] = { $exists: true };
+    }
+  } else if (orderType) {
+    filter.order_status = orderType === 'liveOrders' ? { $nin: CLOSED_STATUSES } : { $in: CLOSED_STATUSES };
+  }
+
+  return filter;
+};
+
+const sectionsFor = (team) => (team ? [TEAM_SECTIONS[team]] : SECTIONS);
+
+// One row per item, flattened with its team_tracking totals
+export const orderItemRows = (order, team) =>
+  sectionsFor(team).flatMap(section =>
+    (order.order_details?.[section] || []).map(item => {
+      const completedQty = item.team_tracking?.total_completed_qty || 0;
+      return {
+        order_number: order.order_number,
+        customer_name: order.customer_name,
+        dispatcher_name: order.dispatcher_name,
+        created_at: order.created_at,
+        order_status: order.order_status,
+        team: teamForSection(section),
+        item_name: item[ITEM_NAME_FIELDS[section]],
+        quantity: item.quantity,
+        neck_size: item.neck_size,
+        weight: item.weight,
+        decoration: item.decoration,
+        decoration_no: item.decoration_no,
+        process: item.process,
+        material: item.material,
+        approval_code: item.approval_code,
+        neck_type: item.neck_type,
+        completed_qty: completedQty,
+        rejected_qty: item.team_tracking?.total_rejected_qty || 0,
+        scrap_qty: item.team_tracking?.total_scrap_qty || 0,
+        remaining_qty: Math.max((item.quantity || 0) - countedQty(item, section), 0),
+        tracking_status: item.team_tracking?.status || 'Pending'
+      };
+    })
+  );
+
+// One row per progress entry; the date range applies to the entry timestamp
+export const productionEntryRows = (order, { team, from, to }) =>
+  sectionsFor(team).flatMap(section =>
+    (order.order_details?.[section] || []).flatMap(item =>
+      (item.team_tracking?.completed_entries || [])
+        .filter(entry => !entry.voided_at && (!from || entry.timestamp >= from) && (!to || entry.timestamp <= to))
+        .map(entry => ({
+          order_number: order.order_number,
+          customer_name: order.customer_name,
+          team: teamForSection(section),
+          item_name: item[ITEM_NAME_FIELDS[section]],
+          quantity: item.quantity,
+          qty_completed: entry.qty_completed,
+          rejected_qty: entry.rejected_qty || 0,
+          scrap_qty: entry.scrap_qty || 0,
+          reason_code: entry.reason_code,
+          timestamp: entry.timestamp,
+          recorded_by: entry.recorded_by?.name
+        }))
+    )
+  );
+
+export const orderCursor = (filter) => Order.find(filter).sort({ created_at: -1, _id: -1 }).lean().cursor();
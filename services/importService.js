@@ -0,0 +1,213 @@
+import ExcelJS from 'exceljs';
+import { Readable } from 'stream';
+import Order from '../config/db.js';
+import { TEAMS, TEAM_SECTIONS, SECTIONS, ITEM_NAME_FIELDS, normalizeTeam } from '../config/teams.js';
+import { validateOrderDetails } from './catalogService.js';
+import { applyWorkflows } from './workflowService.js';
+
+// Header aliases so a file produced by /exports/orders can be imported back
+const HEADER_ALIASES = {
+  customer: 'customer_name',
+  dispatcher: 'dispatcher_name',
+  item: 'item_name',
+  type: 'team',
+  section: 'team'
+};
+
+// Item fields accepted for each section, besides the name and quantity
+const SECTION_FIELDS = {
+  glass: ['weight', 'neck_size', 'decoration', 'decoration_no', 'decoration_type'],
+  caps: ['neck_size', 'process', 'material'],
+  boxes: ['approval_code'],
+  pumps: ['neck_type']
+};
+
+// Fields that must be filled for a row of each section (caps are matched on neck size)
+const REQUIRED_SECTION_FIELDS = {
+  glass: [],
+  caps: ['neck_size'],
+  boxes: [],
+  pumps: []
+};
+
+const normalizeHeader = (header) => {
+  const key = header.toString().trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  return HEADER_ALIASES[key] || key;
+};
+
+// Reads the first worksheet into [{ row, values }] keyed by normalised header, or
+// returns null when the file cannot be read as CSV or XLSX
+export const parseImportFile = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  const isCsv = /\.csv$/i.test(file.originalname) || file.mimetype === 'text/csv';
+
+  let sheet;
+  try {
+    sheet = isCsv
+      ? await workbook.csv.read(Readable.from(file.buffer))
+      : (await workbook.xlsx.load(file.buffer)).worksheets[0];
+  } catch (error) {
+    console.warn('Import file could not be parsed:', error.message);
+    return null;
+  }
+
+  if (!sheet) return [];
+
+  let headers = null;
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    const cells = [];
+    for (let i = 1; i <= row.cellCount; i++) {
+      cells.push(row.getCell(i).text.trim());
+    }
+
+    if (!headers) {
+      headers = cells.map(normalizeHeader);
+      return;
+    }
+    if (cells.every(value => value === '')) return;
+
+    const values = {};
+    headers.forEach((header, index) => {
+      if (header && cells[index] !== undefined && cells[index] !== '') values[header] = cells[index];
+    });
+    rows.push({ row: rowNumber, values });
+  });
+
+  return rows;
+};
+
+// The order item described by one file row of the given section
+export const buildImportItem = (section, values) => {
+  const item = {
+    [ITEM_NAME_FIELDS[section]]: values.item_name,
+    quantity: Number(values.quantity),
+    team: values.team
+  };
+
+  (SECTION_FIELDS[section] || []).forEach(field => {
+    if (values[field] === undefined) return;
+    if (field === 'decoration_type') {
+      item.decoration_details = { type: values.decoration_type, decoration_number: values.decoration_no };
+    } else {
+      item[field] = values[field];
+    }
+  });
+
+  return item;
+};
+
+// Groups rows into orders and validates them. Nothing is written to the database.
+export const buildImportPreview = async (rows) => {
+  const errors = [];
+  const orders = new Map();
+
+  rows.forEach(({ row, values }) => {
+    const rowErrors = [];
+    const addError = (field, message) => rowErrors.push({ row, field, message });
+
+    ['order_number', 'customer_name', 'dispatcher_name', 'item_name'].forEach(field => {
+      if (!values[field]) addError(field, `${field} is required`);
+    });
+
+    const team = normalizeTeam(values.team);
+    const section = TEAMS.includes(team) && TEAM_SECTIONS[team];
+    if (!section) addError('team', `team must be one of: ${TEAMS.join(', ')}`);
+
+    const quantity = Number(values.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) addError('quantity', 'quantity must be a positive whole number');
+
+    if (section) {
+      (REQUIRED_SECTION_FIELDS[section] || []).forEach(field => {
+        if (!values[field]) addError(field, `${field} is required for ${team} items`);
+      });
+    }
+
+    const existing = values.order_number && orders.get(values.order_number);
+    if (existing) {
+      if (existing.customer_name !== values.customer_name) {
+        addError('customer_name', `customer_name differs from row ${existing.rows[0]} of the same order`);
+      }
+      if (existing.dispatcher_name !== values.dispatcher_name) {
+        addError('dispatcher_name', `dispatcher_name differs from row ${existing.rows[0]} of the same order`);
+      }
+    }
+
+    errors.push(...rowErrors);
+    if (rowErrors.length > 0 || !values.order_number) return;
+
+    const order = existing || {
+      order_number: values.order_number,
+      customer_name: values.customer_name,
+      dispatcher_name: values.dispatcher_name,
+      order_details: Object.fromEntries(SECTIONS.map(key => [key, []])),
+      rows: [],
+      item_rows: Object.fromEntries(SECTIONS.map(key => [key, []]))
+    };
+    order.order_details[section].push(buildImportItem(section, { ...values, team }));
+    order.item_rows[section].push(row);
+    order.rows.push(row);
+    orders.set(order.order_number, order);
+  });
+
+  const orderNumbers = [...orders.keys()];
+  const taken = await Order.find({ order_number: { $in: orderNumbers } }, { order_number: 1 }).lean();
+  taken.forEach(({ order_number }) => {
+    errors.push({ row: orders.get(order_number).rows[0], field: 'order_number', message: `Order number ${order_number} already exists` });
+  });
+
+  // Catalog errors point at order_details.<section>[<index>]; map them back to file rows
+  for (const order of orders.values()) {
+    const catalogErrors = await validateOrderDetails(order.order_details);
+    catalogErrors.forEach(({ field, message }) => {
+      const [, section, index, itemField] = field.match(/^order_details\.(\w+)\[(\d+)\]\.(\w+)$/) || [];
+      errors.push({ row: order.item_rows[section]?.[index] ?? order.rows[0], field: itemField || field, message });
+    });
+  }
+
+  // Final check against the Mongoose schema itself
+  orders.forEach(order => {
+    const { rows: orderRows, item_rows, ...doc } = order;
+    const validationError = new Order(doc).validateSync();
+    if (validationError) {
+      Object.values(validationError.errors).forEach(error => {
+        errors.push({ row: orderRows[0], field: error.path, message: error.message });
+      });
+    }
+  });
+
+  const previews = [...orders.values()].map(({ rows: orderRows, item_rows, ...order }) => ({
+    ...order,
+    rows: orderRows,
+    item_count: Object.values(order.order_details).reduce((sum, items) => sum + items.length, 0)
+  }));
+
+  return {
+    valid: errors.length === 0,
+    order_count: previews.length,
+    row_count: rows.length,
+    orders: previews,
+    errors: errors.sort((a, b) => a.row - b.row)
+  };
+};
+
+// Inserts every previewed order in one transaction: either all are created or none
+export const createImportedOrders = async (previews) => {
+  for (const preview of previews) {
+    await applyWorkflows(preview.order_details);
+  }
+
+  const session = await Order.startSession();
+  try {
+    let created = [];
+    await session.withTransaction(async () => {
+      created = await Order.insertMany(
+        previews.map(({ rows, item_count, ...order }) => order),
+        { session }
+      );
+    });
+    return created;
+  } finally {
+    await session.endSession();
+  }
+};
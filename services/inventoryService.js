@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+import { StockItem, StockLevel, StockMovement, ProductionRecipe } from '../models/Inventory.js';
+import { emitToTeams } from '../config/socket.js';
+
+// Net change per stock item across the movements
+const netChanges = (movements) => movements.reduce((changes, { stock_item_id, quantity }) => {
+  const id = stock_item_id.toString();
+  changes.set(id, (changes.get(id) || 0) + quantity);
+  return changes;
+}, new Map());
+
+// Writes movements to the ledger and updates running balances in one transaction, so the
+// ledger and the balances never disagree, then raises low-stock alerts.
+// movements: [{ stock_item_id, location_id, quantity, type, reference?, note? }]
+export const postMovements = async (movements, user) => {
+  if (movements.length === 0) return [];
+
+  const actor = user ? { user_id: user.userId, name: user.name } : undefined;
+  const changes = netChanges(movements);
+  let created = [];
+  let totals;
+
+  const session = await StockMovement.startSession();
+  try {
+    await session.withTransaction(async () => {
+      created = await StockMovement.insertMany(movements.map(movement => ({ ...movement, actor })), { session });
+
+      await StockLevel.bulkWrite(movements.map(({ stock_item_id, location_id, quantity }) => ({
+        updateOne: {
+          filter: { stock_item_id, location_id },
+          update: { $inc: { quantity } },
+          upsert: true
+        }
+      })), { session });
+
+      totals = await getStockTotals([...changes.keys()], session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  await checkLowStock(totals, changes);
+  return created;
+};
+
+// Total on hand per stock item across all locations
+export const getStockTotals = async (stockItemIds, session = null) => {
+  const match = stockItemIds ? { stock_item_id: { $in: stockItemIds.map(id => new mongoose.Types.ObjectId(id)) } } : {};
+  const totals = await StockLevel.aggregate([
+    { $match: match },
+    { $group: { _id: '$stock_item_id', quantity: { $sum: '$quantity' } } }
+  ]).session(session);
+  return new Map(totals.map(total => [total._id.toString(), total.quantity]));
+};
+
+// Alerts only for items these changes took to or below their reorder level, so an item
+// that stays low does not raise a new alert on every movement
+export const checkLowStock = async (totals, changes) => {
+  const items = await StockItem.find({ _id: { $in: [...changes.keys()] }, active: true }).lean();
+
+  const lowItems = items
+    .map(item => ({ ...item, on_hand: totals.get(item._id.toString()) || 0 }))
+    .filter(item => {
+      const before = item.on_hand - changes.get(item._id.toString());
+      return before > item.reorder_level && item.on_hand <= item.reorder_level;
+    });
+
+  lowItems.forEach(item => {
+    console.warn(`⚠️ Low stock: ${item.sku} (${item.on_hand} ${item.unit} on hand)`);
+    emitToTeams('low-stock', {
+      stockItemId: item._id,
+      sku: item.sku,
+      name: item.name,
+      unit: item.unit,
+      onHand: item.on_hand,
+      reorderLevel: item.reorder_level,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  return lowItems;
+};
+
+// Consumes raw materials and adds finished goods for progress logged against items
+// whose catalog product has a production recipe. Items without one are skipped.
+// entries: [{ item, qty_completed, qty_consumed, entry_id }]. qty_consumed (default qty_completed)
+// also covers rejected and scrapped units; both are negative when a correction reduces an entry
+export const recordProductionStock = async ({ order, section, entries, user }) => {
+  const productIds = entries.map(({ item }) => item.product_id).filter(Boolean);
+  if (productIds.length === 0) return [];
+
+  const recipes = await ProductionRecipe.find({ section, product_id: { $in: productIds }, active: true }).lean();
+  const recipeByProduct = new Map(recipes.map(recipe => [recipe.product_id.toString(), recipe]));
+
+  const movements = entries.flatMap(({ item, qty_completed, qty_consumed = qty_completed, entry_id }) => {
+    const recipe = item.product_id && recipeByProduct.get(item.product_id.toString());
+    if (!recipe || !qty_consumed) return [];
+
+    // A negative quantity undoes part of an earlier entry: materials go back, output comes off
+    const reversal = qty_consumed < 0;
+
+    const reference = { order_id: order._id, order_number: order.order_number, section, item_id: item._id, entry_id };
+    const consumed = recipe.materials.map(material => ({
+      stock_item_id: material.stock_item_id,
+      location_id: recipe.location_id,
+      quantity: -material.quantity_per_unit * qty_consumed,
+      type: reversal ? 'production_reversal' : 'production_consume',
+      reference
+    }));
+    const produced = recipe.output_stock_item_id && qty_completed ? [{
+      stock_item_id: recipe.output_stock_item_id,
+      location_id: recipe.location_id,
+      quantity: qty_completed,
+      type: reversal ? 'production_reversal' : 'production_output',
+      reference
+    }] : [];
+
+    return [...consumed, ...produced];
+  });
+
+  return postMovements(movements, user);
+};
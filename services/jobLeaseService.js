@@ -0,0 +1,35 @@
+import { randomUUID } from 'crypto';
+import JobLease from '../models/JobLease.js';
+
+const instanceId = randomUUID();
+
+// Takes or renews the lease on a job. Returns false while another live process holds it.
+export const acquireLease = async (name, ttlMs) => {
+  const now = new Date();
+  try {
+    const lease = await JobLease.findOneAndUpdate(
+      { _id: name, $or: [{ holder: instanceId }, { expires_at: { $lte: now } }] },
+      { holder: instanceId, expires_at: new Date(now.getTime() + ttlMs) },
+      { upsert: true, new: true }
+    );
+    return lease.holder === instanceId;
+  } catch (error) {
+    // The upsert collided with a lease another process still holds
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Runs `job` every `intervalMs` on one server process only. The lease outlives two missed
+// runs, after which another process takes the job over.
+export const startLeasedJob = (name, intervalMs, job) => {
+  const run = async () => {
+    try {
+      if (await acquireLease(name, intervalMs * 2)) await job();
+    } catch (error) {
+      console.error(`❌ Lease for ${name} failed:`, error);
+    }
+  };
+  run();
+  return setInterval(run, intervalMs);
+};
@@ -0,0 +1,182 @@
+import mongoose from 'mongoose';
+import Notification, { NOTIFICATION_TYPES } from '../models/Notification.js';
+import User from '../models/User.js';
+import { SECTIONS, TEAM_SECTIONS, ITEM_NAME_FIELDS, teamForSection } from '../config/teams.js';
+import { sendToRooms, userRoom, teamsForOrder } from '../config/socket.js';
+import { itemComplete } from '../utils/orderItems.js';
+
+export const unreadCount = (userId) => Notification.countDocuments({ user_id: userId, read_at: null });
+
+// Pushes the new unread count to every device of each user
+export const pushUnreadCounts = async (userIds) => {
+  const ids = userIds.map(id => new mongoose.Types.ObjectId(id.toString()));
+  const counts = await Notification.aggregate([
+    { $match: { user_id: { $in: ids }, read_at: null } },
+    { $group: { _id: '$user_id', count: { $sum: 1 } } }
+  ]);
+  const countById = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+  await Promise.all(ids.map(id =>
+    sendToRooms('notifications-unread', { count: countById.get(id.toString()) || 0 }, [userRoom(id)])
+  ));
+};
+
+// Active users in the given teams or listed in `userIds`, plus admins and dispatchers when
+// `dispatchers` is set, who have not muted this type. The user who caused the event is left out.
+const findRecipients = ({ type, teams, userIds, dispatchers, actor }) => {
+  const audience = [{ team: { $in: teams } }, { _id: { $in: userIds } }];
+  if (dispatchers) audience.push({ role: { $in: ['admin', 'dispatcher'] } });
+
+  return User.find({
+    active: true,
+    $or: audience,
+    muted_notification_types: { $ne: type },
+    ...(actor?.userId && { _id: { $ne: actor.userId } })
+  }).select('_id').lean();
+};
+
+// Stores one notification per recipient and pushes it to them. Failures are logged rather
+// than thrown: the change that caused the notification has already been saved.
+export const notifyUsers = async ({ type, teams = [], userIds = [], dispatchers = false, actor, order, title, message = '', data = {} }) => {
+  try {
+    const recipients = await findRecipients({ type, teams, userIds, dispatchers, actor });
+    if (recipients.length === 0) return [];
+
+    const notifications = await Notification.insertMany(recipients.map(user => ({
+      user_id: user._id,
+      type,
+      title,
+      message,
+      order_id: order?._id || null,
+      order_number: order?.order_number || null,
+      data
+    })));
+
+    await Promise.all(notifications.map(notification =>
+      sendToRooms('notification', notification.toObject(), [userRoom(notification.user_id)])
+    ));
+    await pushUnreadCounts(recipients.map(user => user._id));
+    return notifications;
+  } catch (error) {
+    console.error(`❌ Failed to send ${type} notifications:`, error);
+    return [];
+  }
+};
+
+const itemCount = (order, section) => order.order_details?.[section]?.length || 0;
+
+// Each team hears about its own items on a new order
+export const notifyNewOrder = (order, actor) =>
+  Promise.all(teamsForOrder(order).map(team => {
+    const count = itemCount(order, TEAM_SECTIONS[team]);
+    return notifyUsers({
+      type: 'new-order',
+      teams: [team],
+      actor,
+      order,
+      title: `New order #${order.order_number}`,
+      message: count > 0
+        ? `${count} ${TEAM_SECTIONS[team]} item(s) for ${order.customer_name}`
+        : `Work for your team for ${order.customer_name}`
+    });
+  }));
+
+export const notifyOrderEdited = (order, teams, actor, changes = {}) => {
+  const summary = ['added', 'removed', 'changed']
+    .map(kind => [kind, changes[kind]?.length || 0])
+    .filter(([, count]) => count > 0)
+    .map(([kind, count]) => `${count} item(s) ${kind}`);
+
+  return notifyUsers({
+    type: 'order-edited',
+    teams,
+    dispatchers: true,
+    actor,
+    order,
+    title: `Order #${order.order_number} was edited`,
+    message: summary.length > 0 ? summary.join(', ') : `Edited by ${actor?.name || 'a dispatcher'}`,
+    data: { changes }
+  });
+};
+
+const notifyProgressChanges = async (before, order, actor) => {
+  const beforeItems = new Map(SECTIONS.flatMap(section =>
+    (before.order_details?.[section] || []).map(item => [item._id.toString(), item])
+  ));
+
+  const completed = SECTIONS.flatMap(section =>
+    (order.order_details?.[section] || [])
+      .filter(item => item.team_tracking?.status === 'Completed' && itemComplete(item))
+      .filter(item => {
+        const previous = beforeItems.get(item._id.toString());
+        return !previous || previous.team_tracking?.status !== 'Completed' || !itemComplete(previous);
+      })
+      .map(item => ({ section, item }))
+  );
+
+  await Promise.all(completed.map(({ section, item }) => notifyUsers({
+    type: 'item-completed',
+    teams: [],
+    dispatchers: true,
+    actor,
+    order,
+    title: `Item completed on order #${order.order_number}`,
+    message: `${item[ITEM_NAME_FIELDS[section]] || 'Item'} (${section}) is complete`,
+    data: { section, itemId: item._id, team: teamForSection(section) }
+  })));
+
+  if (before.order_status !== 'Completed' && order.order_status === 'Completed') {
+    await notifyUsers({
+      type: 'order-completed',
+      teams: teamsForOrder(order),
+      dispatchers: true,
+      actor,
+      order,
+      title: `Order #${order.order_number} is complete`,
+      message: `All items for ${order.customer_name} have finished production`
+    });
+  }
+};
+
+// Compares an order before and after a progress change: dispatchers hear about items that
+// finished, and everyone on the order when the whole order has finished production
+export const notifyProgress = async (before, order, actor) => {
+  try {
+    await notifyProgressChanges(before, order, actor);
+  } catch (error) {
+    console.error(`❌ Failed to send progress notifications for order #${order.order_number}:`, error);
+  }
+};
+
+// `breaches` are the items whose SLA status just changed, each with its team
+export const notifyOverdue = async (order, breaches) => {
+  const describe = (items) => {
+    const overdue = items.filter(item => item.sla_status === 'overdue').length;
+    const atRisk = items.length - overdue;
+    return [overdue > 0 && `${overdue} item(s) overdue`, atRisk > 0 && `${atRisk} item(s) at risk`].filter(Boolean).join(', ');
+  };
+  const title = `Order #${order.order_number} is behind schedule`;
+
+  for (const team of new Set(breaches.map(breach => breach.team))) {
+    const items = breaches.filter(breach => breach.team === team);
+    await notifyUsers({ type: 'order-overdue', teams: [team], order, title, message: describe(items), data: { items } });
+  }
+  await notifyUsers({ type: 'order-overdue', dispatchers: true, order, title, message: describe(breaches), data: { items: breaches } });
+};
+
+export const notifyMentions = (comment, order, actor) => {
+  if (comment.mentions.length === 0) return Promise.resolve([]);
+
+  return notifyUsers({
+    type: 'mention',
+    userIds: comment.mentions.map(mention => mention.user_id),
+    actor,
+    order,
+    title: `${actor?.name || 'Someone'} mentioned you on order #${order.order_number}`,
+    message: comment.body.length > 200 ? `${comment.body.slice(0, 197)}...` : comment.body,
+    data: { commentId: comment._id, itemId: comment.item_id, section: comment.section }
+  });
+};
+
+export const getPreferences = (user) =>
+  Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, !(user.muted_notification_types || []).includes(type)]));
@@ -0,0 +1,211 @@
+import User from '../models/User.js';
+import { ALL_TEAMS } from '../config/teams.js';
+import { getIO, getSocketAdapter, sendToRooms } from '../config/socket.js';
+
+const secondsFromEnv = (name, fallback) => {
+  const seconds = Number(process.env[name]);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : fallback) * 1000;
+};
+
+// PRESENCE_IDLE_SECONDS / PRESENCE_AWAY_SECONDS: how long without activity before a user
+// shows as idle, then away. A socket that stops sending heartbeats is away as well.
+export const getIdleMs = () => secondsFromEnv('PRESENCE_IDLE_SECONDS', 120);
+export const getAwayMs = () => secondsFromEnv('PRESENCE_AWAY_SECONDS', 600);
+export const getSweepMs = () => secondsFromEnv('PRESENCE_SWEEP_SECONDS', 30);
+
+const STATUS_RANK = { online: 0, idle: 1, away: 2 };
+
+// Sockets connected to this process; the adapter holds the list for every process
+const localSockets = new Map();
+
+const elapsed = (timestamp, now) => now - new Date(timestamp).getTime();
+
+export const socketStatus = (entry, now = Date.now()) => {
+  if (elapsed(entry.lastHeartbeat, now) > getAwayMs()) return 'away';
+  const inactive = elapsed(entry.lastActive, now);
+  if (inactive > getAwayMs()) return 'away';
+  if (inactive > getIdleMs()) return 'idle';
+  return 'online';
+};
+
+// Records a socket with the rooms it joined. Registering again keeps its connection time.
+export const trackSocket = async (socket, rooms) => {
+  const { userId, name, role, team } = socket.data.user;
+  const now = new Date().toISOString();
+  const entry = {
+    socketId: socket.id,
+    userId,
+    name,
+    role,
+    team,
+    rooms,
+    clientId: socket.data.client?.client_id || 'default',
+    connectedAt: localSockets.get(socket.id)?.connectedAt || now,
+    lastActive: now,
+    lastHeartbeat: now
+  };
+
+  localSockets.set(socket.id, entry);
+  await getSocketAdapter().addSocket(entry);
+  return entry;
+};
+
+// A heartbeat shows the socket is alive; `active` that someone is using the device.
+// Returns whether the socket's status changed.
+export const recordHeartbeat = async (socketId, { active = true } = {}) => {
+  const entry = localSockets.get(socketId);
+  if (!entry) return false;
+
+  const statusBefore = socketStatus(entry);
+  const now = new Date().toISOString();
+  entry.lastHeartbeat = now;
+  if (active) entry.lastActive = now;
+
+  await getSocketAdapter().addSocket(entry);
+  return socketStatus(entry) !== statusBefore;
+};
+
+// Removes a socket; once a user's last device is gone their last-seen time is saved
+export const untrackSocket = async (socketId) => {
+  const entry = localSockets.get(socketId);
+  localSockets.delete(socketId);
+
+  const adapter = getSocketAdapter();
+  await adapter.removeSocket(socketId);
+  if (!entry) return;
+
+  const sockets = await adapter.listSockets();
+  if (!sockets.some(other => other.userId === entry.userId)) {
+    await User.updateOne({ _id: entry.userId }, { last_seen_at: new Date() });
+  }
+};
+
+// One entry per user across all their devices, with the most present status among them
+export const groupByUser = (sockets, now = Date.now()) => {
+  const users = new Map();
+
+  sockets.forEach(entry => {
+    const status = socketStatus(entry, now);
+    const user = users.get(entry.userId);
+    if (!user) {
+      users.set(entry.userId, {
+        userId: entry.userId,
+        name: entry.name,
+        role: entry.role,
+        rooms: [...entry.rooms],
+        status,
+        connected: true,
+        devices: 1,
+        connectedAt: entry.connectedAt,
+        lastActive: entry.lastActive
+      });
+      return;
+    }
+
+    user.devices += 1;
+    user.rooms = [...new Set([...user.rooms, ...entry.rooms])];
+    if (STATUS_RANK[status] < STATUS_RANK[user.status]) user.status = status;
+    if (entry.connectedAt < user.connectedAt) user.connectedAt = entry.connectedAt;
+    if (entry.lastActive > user.lastActive) user.lastActive = entry.lastActive;
+  });
+
+  return [...users.values()];
+};
+
+const presenceEntry = ({ rooms, ...user }, team) => (team ? { ...user, team } : user);
+
+// Connected users per room: { dispatchers: [...], teams: { glass: [...] } }
+export const getConnectedUsers = async () => {
+  const users = groupByUser(await getSocketAdapter().listSockets());
+  const teams = {};
+
+  users.forEach(user => {
+    user.rooms.filter(room => room !== 'dispatchers').forEach(team => {
+      teams[team] = teams[team] || [];
+      teams[team].push(presenceEntry(user, team));
+    });
+  });
+
+  return {
+    dispatchers: users.filter(user => user.rooms.includes('dispatchers')).map(user => presenceEntry(user)),
+    teams
+  };
+};
+
+// For GET /presence: who is online per team, and when everyone else was last seen
+export const getPresenceReport = async ({ team } = {}) => {
+  const [{ dispatchers, teams }, users] = await Promise.all([
+    getConnectedUsers(),
+    User.find({ active: true }).select('name role team last_seen_at').lean()
+  ]);
+
+  const offlineIn = (online, members) => {
+    const onlineIds = new Set(online.map(user => user.userId));
+    return members
+      .filter(user => !onlineIds.has(user._id.toString()))
+      .map(user => ({ userId: user._id.toString(), name: user.name, role: user.role, lastSeen: user.last_seen_at || null }));
+  };
+
+  const teamKeys = team ? [team] : [...new Set([...ALL_TEAMS, ...Object.keys(teams)])];
+  return {
+    dispatchers: {
+      online: dispatchers,
+      offline: offlineIn(dispatchers, users.filter(user => user.role === 'admin' || user.role === 'dispatcher'))
+    },
+    teams: Object.fromEntries(teamKeys.map(key => {
+      const online = teams[key] || [];
+      return [key, { online, offline: offlineIn(online, users.filter(user => user.team === key)) }];
+    })),
+    timestamp: new Date().toISOString()
+  };
+};
+
+// Only sent when someone connects, leaves or changes status, not on every sweep
+let lastSignature = null;
+
+const signatureOf = ({ dispatchers, teams }) => JSON.stringify([
+  dispatchers.map(user => [user.userId, user.status, user.devices]),
+  Object.entries(teams).map(([team, members]) => [team, members.map(user => [user.userId, user.status, user.devices])])
+]);
+
+// Dispatchers get everyone; each team gets its own members and the dispatchers
+export const broadcastPresence = async ({ force = false } = {}) => {
+  try {
+    const presence = await getConnectedUsers();
+    const signature = signatureOf(presence);
+    if (!force && signature === lastSignature) return;
+    lastSignature = signature;
+
+    const { dispatchers, teams } = presence;
+    await sendToRooms('connected-users', {
+      dispatchers,
+      teamMembers: Object.values(teams).flat(),
+      teams
+    }, ['dispatchers']);
+
+    for (const [team, teamMembers] of Object.entries(teams)) {
+      await sendToRooms('connected-users', { teamMembers, dispatchers }, [team]);
+    }
+  } catch (error) {
+    console.error('❌ Error broadcasting presence:', error);
+  }
+};
+
+// One sweeper per process: drops sockets that closed without a disconnect event and
+// sends the list again when a user has gone idle or away
+export const sweepPresence = async () => {
+  const io = getIO();
+  for (const socketId of [...localSockets.keys()]) {
+    const socket = io?.sockets.sockets.get(socketId);
+    if (!socket || socket.disconnected) {
+      console.log(`🧹 Cleaning up stale connection: ${socketId}`);
+      await untrackSocket(socketId);
+    }
+  }
+  await broadcastPresence();
+};
+
+export const startPresenceSweeper = () => {
+  const run = () => sweepPresence().catch(error => console.error('❌ Presence sweep failed:', error));
+  return setInterval(run, getSweepMs());
+};
@@ -0,0 +1,229 @@
+import Order from '../config/db.js';
+import Customer from '../models/Customer.js';
+import { SECTIONS, ITEM_NAME_FIELDS, teamForSection } from '../config/teams.js';
+import { PRODUCTION_DONE_STATUSES } from '../config/orderStatus.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Timezone used to bucket entries into days and weeks
+const reportTimezone = () => process.env.REPORT_TIMEZONE || 'Asia/Kolkata';
+
+// Flattens every section into one `items` array tagged with the owning team
+const allItemsExpression = () => ({
+  $concatArrays: SECTIONS.map(section => ({
+    $map: {
+      input: { $ifNull: [`$order_details.${section}`, []] },
+      as: 'item',
+      in: {
+        team: teamForSection(section),
+        section,
+        name: `$$item.${ITEM_NAME_FIELDS[section]}`,
+        product_id: '$$item.product_id',
+        quantity: { $ifNull: ['$$item.quantity', 0] },
+        completed_qty: { $ifNull: ['$$item.team_tracking.total_completed_qty', 0] },
+        status: '$$item.team_tracking.status',
+        entries: { $ifNull: ['$$item.team_tracking.completed_entries', []] }
+      }
+    }
+  }))
+});
+
+const dateMatch = (field, { from, to }) => {
+  if (!from && !to) return {};
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return { [field]: range };
+};
+
+// Completed quantity per team per day or week, from the progress entries
+export const getThroughput = ({ period = 'day', team, from, to }) => {
+  const pipeline = [
+    { $match: { deleted_at: null } },
+    { $project: { items: allItemsExpression() } },
+    { $unwind: '$items' },
+    ...(team ? [{ $match: { 'items.team': team } }] : []),
+    { $unwind: '$items.entries' },
+    { $match: { 'items.entries.voided_at': null, ...dateMatch('items.entries.timestamp', { from, to }) } },
+    {
+      $group: {
+        _id: {
+          team: '$items.team',
+          period: {
+            $dateTrunc: {
+              date: '$items.entries.timestamp',
+              unit: period,
+              timezone: reportTimezone(),
+              ...(period === 'week' ? { startOfWeek: 'monday' } : {})
+            }
+          }
+        },
+        completed_qty: { $sum: '$items.entries.qty_completed' },
+        entries: { $sum: 1 }
+      }
+    },
+    { $sort: { '_id.period': 1, '_id.team': 1 } },
+    { $project: { _id: 0, team: '$_id.team', period: '$_id.period', completed_qty: 1, entries: 1 } }
+  ];
+
+  return Order.aggregate(pipeline);
+};
+
+// Good, rejected and scrapped units per team (or per team and product) from the progress
+// entries, with the rejection rate as a percentage of all units processed
+export const getRejectionRates = async ({ groupBy = 'team', team, from, to }) => {
+  const key = groupBy === 'product'
+    ? { team: '$items.team', product_id: '$items.product_id', product: '$items.name' }
+    : { team: '$items.team' };
+  const keyFromReasonGroup = Object.fromEntries(Object.keys(key).map(field => [field, `$_id.${field}`]));
+
+  const rows = await Order.aggregate([
+    { $match: { deleted_at: null } },
+    { $project: { items: allItemsExpression() } },
+    { $unwind: '$items' },
+    ...(team ? [{ $match: { 'items.team': team } }] : []),
+    { $unwind: '$items.entries' },
+    { $match: { 'items.entries.voided_at': null, ...dateMatch('items.entries.timestamp', { from, to }) } },
+    {
+      $group: {
+        _id: { ...key, reason: '$items.entries.reason_code' },
+        good_qty: { $sum: { $ifNull: ['$items.entries.qty_completed', 0] } },
+        rejected_qty: { $sum: { $ifNull: ['$items.entries.rejected_qty', 0] } },
+        scrap_qty: { $sum: { $ifNull: ['$items.entries.scrap_qty', 0] } }
+      }
+    },
+    {
+      $group: {
+        _id: keyFromReasonGroup,
+        good_qty: { $sum: '$good_qty' },
+        rejected_qty: { $sum: '$rejected_qty' },
+        scrap_qty: { $sum: '$scrap_qty' },
+        reasons: { $push: { reason: '$_id.reason', qty: { $add: ['$rejected_qty', '$scrap_qty'] } } }
+      }
+    },
+    { $sort: { '_id.team': 1, '_id.product': 1 } }
+  ]);
+
+  return rows.map(({ _id, reasons, ...totals }) => {
+    const rejects = totals.rejected_qty + totals.scrap_qty;
+    const processed = totals.good_qty + rejects;
+    return {
+      ..._id,
+      ...totals,
+      rejection_rate: processed > 0 ? Math.round((rejects / processed) * 1000) / 10 : 0,
+      by_reason: Object.fromEntries(
+        reasons.filter(({ reason, qty }) => reason && qty > 0).map(({ reason, qty }) => [reason, qty])
+      )
+    };
+  });
+};
+
+// Time from created_at until production finished. Orders completed before
+// completed_at was recorded fall back to their last progress entry.
+export const getLeadTime = async ({ from, to }) => {
+  const [result] = await Order.aggregate([
+    { $match: { deleted_at: null, order_status: { $in: PRODUCTION_DONE_STATUSES }, ...dateMatch('created_at', { from, to }) } },
+    {
+      $project: {
+        completed_at: {
+          $ifNull: ['$completed_at', {
+            $max: {
+              $reduce: {
+                input: { $map: { input: allItemsExpression(), as: 'item', in: '$$item.entries.timestamp' } },
+                initialValue: [],
+                in: { $concatArrays: ['$$value', '$$this'] }
+              }
+            }
+          }]
+        },
+        created_at: 1
+      }
+    },
+    { $match: { completed_at: { $ne: null } } },
+    { $project: { lead_ms: { $subtract: ['$completed_at', '$created_at'] } } },
+    {
+      $group: {
+        _id: null,
+        orders: { $sum: 1 },
+        average_ms: { $avg: '$lead_ms' },
+        min_ms: { $min: '$lead_ms' },
+        max_ms: { $max: '$lead_ms' }
+      }
+    }
+  ]);
+
+  if (!result) {
+    return { orders: 0, average_hours: null, min_hours: null, max_hours: null };
+  }
+
+  const toHours = (ms) => Math.round((ms / HOUR_MS) * 10) / 10;
+  return {
+    orders: result.orders,
+    average_hours: toHours(result.average_ms),
+    min_hours: toHours(result.min_ms),
+    max_hours: toHours(result.max_ms)
+  };
+};
+
+// Outstanding items and quantities per team across open orders
+export const getBacklog = () =>
+  Order.aggregate([
+    { $match: { deleted_at: null, order_status: { $nin: [...PRODUCTION_DONE_STATUSES, 'Cancelled'] } } },
+    { $project: { order_number: 1, items: allItemsExpression() } },
+    { $unwind: '$items' },
+    { $match: { 'items.status': { $ne: 'Completed' }, $expr: { $lt: ['$items.completed_qty', '$items.quantity'] } } },
+    {
+      $group: {
+        _id: '$items.team',
+        items: { $sum: 1 },
+        orders: { $addToSet: '$order_number' },
+        ordered_qty: { $sum: '$items.quantity' },
+        completed_qty: { $sum: '$items.completed_qty' },
+        remaining_qty: { $sum: { $subtract: ['$items.quantity', '$items.completed_qty'] } }
+      }
+    },
+    { $sort: { remaining_qty: -1 } },
+    {
+      $project: {
+        _id: 0,
+        team: '$_id',
+        items: 1,
+        orders: { $size: '$orders' },
+        ordered_qty: 1,
+        completed_qty: 1,
+        remaining_qty: 1
+      }
+    }
+  ]);
+
+// Grouped by customer record, shown under the customer's current name. Orders without a
+// customer record are grouped by the name they were placed under.
+export const getTopCustomers = ({ limit = 10, from, to }) =>
+  Order.aggregate([
+    { $match: { deleted_at: null, ...dateMatch('created_at', { from, to }) } },
+    { $sort: { created_at: 1 } },
+    { $project: { customer_id: 1, customer_name: 1, order_status: 1, items: allItemsExpression() } },
+    {
+      $group: {
+        _id: { $ifNull: ['$customer_id', '$customer_name'] },
+        customer_id: { $first: '$customer_id' },
+        latest_name: { $last: '$customer_name' },
+        orders: { $sum: 1 },
+        completed_orders: { $sum: { $cond: [{ $in: ['$order_status', PRODUCTION_DONE_STATUSES] }, 1, 0] } },
+        total_qty: { $sum: { $sum: '$items.quantity' } }
+      }
+    },
+    { $sort: { orders: -1, total_qty: -1 } },
+    { $limit: limit },
+    { $lookup: { from: Customer.collection.name, localField: 'customer_id', foreignField: '_id', as: 'customer' } },
+    {
+      $project: {
+        _id: 0,
+        customer_id: 1,
+        customer_name: { $ifNull: [{ $arrayElemAt: ['$customer.name', 0] }, '$latest_name'] },
+        orders: 1,
+        completed_orders: 1,
+        total_qty: 1
+      }
+    }
+  ]);
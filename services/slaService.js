@@ -0,0 +1,139 @@
+import Order from '../config/db.js';
+import { CLOSED_STATUSES } from '../config/orderStatus.js';
+import { SECTIONS, ITEM_NAME_FIELDS, teamForSection } from '../config/teams.js';
+import { emitToRooms } from '../config/socket.js';
+import { notifyOverdue } from './notificationService.js';
+import { startLeasedJob } from './jobLeaseService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const RATE_WINDOW_MS = 7 * 24 * HOUR_MS;
+
+const positiveEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// SLA_CHECK_INTERVAL_MINUTES sets how often open orders are re-evaluated
+export const getCheckIntervalMs = () => positiveEnv('SLA_CHECK_INTERVAL_MINUTES', 15) * 60 * 1000;
+
+// Without a production rate to project from, items due within SLA_AT_RISK_HOURS are at risk
+export const getAtRiskHours = () => positiveEnv('SLA_AT_RISK_HOURS', 24);
+
+// Units per hour each team completed over the last week
+const teamRates = (orders, now) => {
+  const since = now - RATE_WINDOW_MS;
+  const totals = {};
+
+  for (const order of orders) {
+    for (const section of SECTIONS) {
+      for (const item of order.order_details?.[section] || []) {
+        for (const entry of item.team_tracking?.completed_entries || []) {
+          if (!entry.voided_at && new Date(entry.timestamp).getTime() >= since) {
+            totals[section] = (totals[section] || 0) + (entry.qty_completed || 0);
+          }
+        }
+      }
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(totals).map(([section, qty]) => [section, qty / (RATE_WINDOW_MS / HOUR_MS)])
+  );
+};
+
+export const itemSlaStatus = (item, order, rate, now = Date.now()) => {
+  const deadline = item.due_date || order.due_date;
+  const remaining = (item.quantity || 0) - (item.team_tracking?.total_completed_qty || 0);
+  if (!deadline || remaining <= 0 || item.team_tracking?.status === 'Completed') return 'on_track';
+
+  const hoursLeft = (new Date(deadline).getTime() - now) / HOUR_MS;
+  if (hoursLeft <= 0) return 'overdue';
+
+  if (rate > 0) {
+    return remaining / rate > hoursLeft ? 'at_risk' : 'on_track';
+  }
+  return hoursLeft <= getAtRiskHours() ? 'at_risk' : 'on_track';
+};
+
+export const checkOrderSla = async () => {
+  const now = Date.now();
+  const orders = await Order.find({
+    deleted_at: null,
+    order_status: { $nin: CLOSED_STATUSES }
+  }).lean();
+
+  const rates = teamRates(orders, now);
+  let alerts = 0;
+
+  for (const order of orders) {
+    const breaches = [];
+    const set = {};
+    const arrayFilters = [];
+
+    for (const section of SECTIONS) {
+      (order.order_details?.[section] || []).forEach((item) => {
+        const status = itemSlaStatus(item, order, rates[section], now);
+        const previous = item.sla_status || 'on_track';
+        if (status === previous) return;
+
+        // Positional filters keep the write off __v, so editors holding a version are not bumped.
+        // Matching the previous status means only one server process records each change.
+        // Filter identifiers must be alphanumeric, so section names stay in the path only.
+        const key = `f${arrayFilters.length}`;
+        set[`order_details.${section}.$[${key}].sla_status`] = status;
+        arrayFilters.push({
+          [`${key}._id`]: item._id,
+          [`${key}.sla_status`]: item.sla_status || { $in: ['on_track', null] }
+        });
+
+        if (status !== 'on_track') {
+          breaches.push({
+            section,
+            team: teamForSection(section),
+            itemId: item._id,
+            name: item[ITEM_NAME_FIELDS[section]],
+            quantity: item.quantity,
+            completed: item.team_tracking?.total_completed_qty || 0,
+            due_date: item.due_date || order.due_date,
+            sla_status: status,
+            previous_status: previous
+          });
+        }
+      });
+    }
+
+    if (arrayFilters.length === 0) continue;
+    const { modifiedCount } = await Order.updateOne({ _id: order._id }, { $set: set }, { arrayFilters });
+
+    // Another process got there first and has sent the alerts
+    if (modifiedCount === 0 || breaches.length === 0) continue;
+    alerts += breaches.length;
+
+    const base = {
+      orderId: order._id,
+      orderNumber: order.order_number,
+      customerName: order.customer_name,
+      priority: order.priority,
+      due_date: order.due_date,
+      timestamp: new Date(now).toISOString()
+    };
+
+    // Each team hears about its own items; dispatchers get the whole order
+    for (const team of new Set(breaches.map(breach => breach.team))) {
+      emitToRooms('order-overdue', { ...base, items: breaches.filter(breach => breach.team === team) }, [team]);
+    }
+    emitToRooms('order-overdue', { ...base, items: breaches }, ['dispatchers']);
+    await notifyOverdue(order, breaches);
+  }
+
+  if (alerts > 0) {
+    console.log(`⏰ ${alerts} item(s) at risk or overdue`);
+  }
+  return alerts;
+};
+
+// Runs on one server process at a time
+export const startSlaMonitor = () => {
+  const run = () => checkOrderSla().catch(error => console.error('❌ SLA check failed:', error));
+  return startLeasedJob('sla-monitor', getCheckIntervalMs(), run);
+};
@@ -0,0 +1,40 @@
+import Team from '../models/Team.js';
+import { registerOrderSection } from '../config/db.js';
+import { DEFAULT_TEAMS, setTeams } from '../config/teams.js';
+import { getSocketAdapter } from '../config/socket.js';
+
+// Reloads the teams into config/teams.js, seeding the defaults into an empty collection,
+// and registers any section the order schema does not know yet. Deactivated teams are
+// loaded too so their sections stay readable on older orders.
+export const loadTeams = async () => {
+  if (await Team.estimatedDocumentCount() === 0) {
+    await Team.insertMany(DEFAULT_TEAMS);
+  }
+
+  const teams = await Team.find().sort({ createdAt: 1 }).lean();
+  teams
+    .filter(team => team.section)
+    .forEach(team => registerOrderSection(team.section, team.item_name_field));
+
+  setTeams(teams);
+  return teams;
+};
+
+// Reloads the teams here after a change and has every other server process reload them
+// at once, so none of them strips a new section's items in the meantime
+export const applyTeamChange = async () => {
+  const teams = await loadTeams();
+  await getSocketAdapter()?.notifyServers('teams-changed');
+  return teams;
+};
+
+// Keeps every server instance in step with team changes made through another one. The
+// TEAM_REFRESH_MINUTES poll catches any change notice that was missed.
+export const startTeamSync = () => {
+  const minutes = Number(process.env.TEAM_REFRESH_MINUTES);
+  const interval = (Number.isFinite(minutes) && minutes > 0 ? minutes : 5) * 60 * 1000;
+  const run = () => loadTeams().catch(error => console.error('❌ Loading teams failed:', error));
+  getSocketAdapter()?.onServerNotice('teams-changed', run);
+  run();
+  return setInterval(run, interval);
+};
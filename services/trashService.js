@@ -0,0 +1,48 @@
+import Order from '../config/db.js';
+import { recordAudit } from './auditService.js';
+import { emitToTeams } from '../config/socket.js';
+import { startLeasedJob } from './jobLeaseService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// ORDER_TRASH_RETENTION_DAYS controls how long trashed orders can still be restored
+export const getRetentionDays = () => {
+  const days = Number(process.env.ORDER_TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 30;
+};
+
+export const purgeDateFor = (order) =>
+  order.deleted_at ? new Date(new Date(order.deleted_at).getTime() + getRetentionDays() * DAY_MS) : null;
+
+export const purgeExpiredOrders = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * DAY_MS);
+  const expiredFilter = { deleted_at: { $ne: null, $lte: cutoff } };
+  const expired = await Order.find(expiredFilter).lean();
+  let purged = 0;
+
+  for (const order of expired) {
+    // Skips orders restored or purged elsewhere since they were read
+    const { deletedCount } = await Order.deleteOne({ _id: order._id, ...expiredFilter });
+    if (deletedCount === 0) continue;
+    purged += 1;
+
+    await recordAudit({ action: 'purge', before: order, user: null });
+    emitToTeams('order-purged', {
+      orderId: order._id,
+      orderNumber: order.order_number,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (purged > 0) {
+    console.log(`🧹 Purged ${purged} order(s) from trash`);
+  }
+  return purged;
+};
+
+// Runs on one server process at a time
+export const startTrashPurge = () => {
+  const run = () => purgeExpiredOrders().catch(error => console.error('❌ Trash purge failed:', error));
+  return startLeasedJob('trash-purge', PURGE_INTERVAL_MS, run);
+};
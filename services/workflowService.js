@@ -0,0 +1,98 @@
+import WorkflowTemplate from '../models/Workflow.js';
+import Order from '../config/db.js';
+import { SECTIONS, ITEM_NAME_FIELDS } from '../config/teams.js';
+import { CLOSED_STATUSES } from '../config/orderStatus.js';
+import { emitToTeams } from '../config/socket.js';
+import { stageInputQty } from '../utils/orderItems.js';
+
+const decorationTypeOf = (item) =>
+  (item.decoration_details?.type || item.decoration || '').toString().trim().toLowerCase() || null;
+
+// A template for the item's decoration type wins over the family's general template
+const templateFor = (templates, section, item) => {
+  const decorationType = decorationTypeOf(item);
+  const familyTemplates = templates.filter(template => template.family === section);
+  return familyTemplates.find(template => template.decoration_type && template.decoration_type === decorationType) ||
+    familyTemplates.find(template => !template.decoration_type) ||
+    null;
+};
+
+// Gives new items (those without an _id) the stages of their matching workflow template.
+// Items already on an order keep the stages they were created with.
+export const applyWorkflows = async (orderDetails = {}) => {
+  const newItems = SECTIONS.flatMap(section =>
+    (orderDetails[section] || []).filter(item => !item._id).map(item => ({ section, item }))
+  );
+  if (newItems.length === 0) return orderDetails;
+
+  const templates = await WorkflowTemplate.find({ active: true }).lean();
+  newItems.forEach(({ section, item }) => {
+    const template = templateFor(templates, section, item);
+    if (!template) return;
+
+    item.workflow_id = template._id;
+    item.stages = template.stages.map(({ key, name, team }) => ({
+      key,
+      name,
+      team,
+      total_completed_qty: 0,
+      completed_entries: [],
+      status: 'Pending'
+    }));
+  });
+
+  return orderDetails;
+};
+
+// Tells the team at stage `index` that `qty` more units are waiting for it
+export const notifyStageArrival = (order, section, item, index, qty) => {
+  const stage = item.stages?.[index];
+  if (!stage || qty <= 0) return;
+
+  emitToTeams('stage-work-arrived', {
+    orderId: order._id,
+    orderNumber: order.order_number,
+    section,
+    itemId: item._id,
+    itemName: item[ITEM_NAME_FIELDS[section]],
+    stage: stage.key,
+    stageName: stage.name,
+    fromStage: index === 0 ? section : item.stages[index - 1].key,
+    qty,
+    availableQty: stageInputQty(item, index) - (stage.total_completed_qty || 0),
+    timestamp: new Date().toISOString()
+  }, [stage.team]);
+};
+
+// Open work waiting at the given team's stages, oldest orders first
+export const getStageQueue = async (team) => {
+  const orders = await Order.find({
+    deleted_at: null,
+    order_status: { $nin: CLOSED_STATUSES },
+    $or: SECTIONS.map(section => ({ [`order_details.${section}.stages.team`]: team }))
+  }).sort({ created_at: 1 }).lean();
+
+  return orders.flatMap(order =>
+    SECTIONS.flatMap(section =>
+      (order.order_details?.[section] || []).flatMap(item =>
+        (item.stages || [])
+          .map((stage, index) => ({ stage, index }))
+          .filter(({ stage }) => stage.team === team && stage.status !== 'Completed')
+          .map(({ stage, index }) => ({
+            order_number: order.order_number,
+            customer_name: order.customer_name,
+            priority: order.priority,
+            due_date: item.due_date || order.due_date,
+            section,
+            item_id: item._id,
+            item_name: item[ITEM_NAME_FIELDS[section]],
+            quantity: item.quantity,
+            stage: stage.key,
+            stage_name: stage.name,
+            completed_qty: stage.total_completed_qty || 0,
+            available_qty: stageInputQty(item, index) - (stage.total_completed_qty || 0)
+          }))
+      )
+    )
+  );
+};
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getExpectedVersion, setVersionHeader } from '../utils/concurrency.js';
+
+const request = (headers = {}, body = {}) => ({ headers, body });
+
+test('the version comes from If-Match, weak or quoted, before the body', () => {
+  assert.equal(getExpectedVersion(request({ 'if-match': '"4"' }, { version: 9 })), 4);
+  assert.equal(getExpectedVersion(request({ 'if-match': 'W/"5"' })), 5);
+  assert.equal(getExpectedVersion(request({}, { version: 3 })), 3);
+});
+
+test('no version, or a wildcard, skips the check', () => {
+  assert.equal(getExpectedVersion(request()), null);
+  assert.equal(getExpectedVersion(request({ 'if-match': '*' })), null);
+});
+
+test('a malformed version is NaN', () => {
+  assert.ok(Number.isNaN(getExpectedVersion(request({ 'if-match': '"abc"' }))));
+  assert.ok(Number.isNaN(getExpectedVersion(request({}, { version: -1 }))));
+});
+
+test('the ETag carries the order version', () => {
+  const headers = {};
+  const res = { set: (name, value) => { headers[name] = value; } };
+
+  setVersionHeader(res, { __v: 7 });
+  setVersionHeader(res, {});
+  assert.deepEqual(headers, { ETag: '"7"' });
+});
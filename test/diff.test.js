@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffObjects } from '../utils/diff.js';
+
+test('changed leaves are listed with dotted paths', () => {
+  const before = { customer_name: 'Acme', details: { priority: 'normal' } };
+  const after = { customer_name: 'Acme', details: { priority: 'high' } };
+
+  assert.deepEqual(diffObjects(before, after), [{ path: 'details.priority', before: 'normal', after: 'high' }]);
+});
+
+test('array items with an _id are matched by id, not position', () => {
+  const before = { glass: [{ _id: 'a', quantity: 1 }, { _id: 'b', quantity: 2 }] };
+  const after = { glass: [{ _id: 'b', quantity: 2 }, { _id: 'a', quantity: 5 }] };
+
+  assert.deepEqual(diffObjects(before, after), [{ path: 'glass.a.quantity', before: 1, after: 5 }]);
+});
+
+test('null and missing fields count as equal', () => {
+  assert.deepEqual(diffObjects({ due_date: null }, {}), []);
+  assert.deepEqual(diffObjects({}, { due_date: '2024-05-01' }), [{ path: 'due_date', before: null, after: '2024-05-01' }]);
+});
+
+test('version and updatedAt are ignored and dates compare by value', () => {
+  const before = { __v: 1, updatedAt: new Date(1), due_date: new Date('2024-05-01') };
+  const after = { __v: 2, updatedAt: new Date(2), due_date: new Date('2024-05-01') };
+
+  assert.deepEqual(diffObjects(before, after), []);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseImportFile, buildImportItem } from '../services/importService.js';
+
+const csvFile = (text) => ({ originalname: 'orders.csv', mimetype: 'text/csv', buffer: Buffer.from(text) });
+
+test('rows are keyed by normalised header, with export headers accepted as aliases', async () => {
+  const rows = await parseImportFile(csvFile([
+    'Order Number,Customer,Dispatcher,Type,Item,Quantity,Neck Size',
+    'A1,Acme,Ravi,cap,Gold cap,500,24mm',
+    ',,,,,,',
+    'A1,Acme,Ravi,glass,Bottle,200,'
+  ].join('\n')));
+
+  assert.deepEqual(rows, [
+    {
+      row: 2,
+      values: { order_number: 'A1', customer_name: 'Acme', dispatcher_name: 'Ravi', team: 'cap', item_name: 'Gold cap', quantity: '500', neck_size: '24mm' }
+    },
+    {
+      row: 4,
+      values: { order_number: 'A1', customer_name: 'Acme', dispatcher_name: 'Ravi', team: 'glass', item_name: 'Bottle', quantity: '200' }
+    }
+  ]);
+});
+
+test('a file that is not a readable spreadsheet gives null', async () => {
+  const file = { originalname: 'orders.xlsx', mimetype: 'application/octet-stream', buffer: Buffer.from('not a zip') };
+  assert.equal(await parseImportFile(file), null);
+});
+
+test('a row becomes an item of its section with only that section\'s fields', () => {
+  const values = { item_name: 'Bottle', quantity: '200', team: 'glass', weight: '180', process: 'ignored', decoration_type: 'screen', decoration_no: 'D7' };
+
+  assert.deepEqual(buildImportItem('glass', values), {
+    glass_name: 'Bottle',
+    quantity: 200,
+    team: 'glass',
+    weight: '180',
+    decoration_no: 'D7',
+    decoration_details: { type: 'screen', decoration_number: 'D7' }
+  });
+  assert.deepEqual(buildImportItem('caps', { item_name: 'Gold cap', quantity: '5', team: 'cap', neck_size: '24mm' }), {
+    cap_name: 'Gold cap',
+    quantity: 5,
+    team: 'cap',
+    neck_size: '24mm'
+  });
+});
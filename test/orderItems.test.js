@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeSectionItems } from '../utils/orderItems.js';
+
+const tracking = (totals = {}) => ({
+  total_completed_qty: 0,
+  total_rejected_qty: 0,
+  total_scrap_qty: 0,
+  completed_entries: [],
+  status: 'Pending',
+  ...totals
+});
+
+const glassItem = (id, extra = {}) => ({ _id: id, glass_name: `Bottle ${id}`, quantity: 100, team_tracking: tracking(), ...extra });
+
+const merge = (existing, incoming) => mergeSectionItems('glass', existing, incoming, 'glass_name');
+
+test('new items start with empty tracking', () => {
+  const { items, errors } = merge([], [{ glass_name: 'New', quantity: 10, team_tracking: { total_completed_qty: 99 } }]);
+
+  assert.deepEqual(errors, []);
+  assert.equal(items[0].team_tracking.total_completed_qty, 0);
+  assert.equal(items[0].team_tracking.status, 'Pending');
+});
+
+test('edited items keep their tracking and report what changed', () => {
+  const existing = glassItem('a', { team_tracking: tracking({ total_completed_qty: 40 }) });
+  const { items, changed, errors } = merge([existing], [{ _id: 'a', glass_name: 'Bottle a', quantity: 120, team_tracking: tracking() }]);
+
+  assert.deepEqual(errors, []);
+  assert.equal(items[0].team_tracking.total_completed_qty, 40);
+  assert.deepEqual(changed.map(change => change.changes), [[{ path: 'quantity', before: 100, after: 120 }]]);
+});
+
+test('an id that is not on the order is an error', () => {
+  const { errors } = merge([glassItem('a')], [{ _id: 'a', glass_name: 'Bottle a', quantity: 100 }, { _id: 'z', glass_name: 'Other', quantity: 1 }]);
+
+  assert.deepEqual(errors.map(error => error.message), ['Item does not belong to this order']);
+});
+
+test('quantity cannot drop below completed, rejected and scrapped units together', () => {
+  const existing = glassItem('a', { team_tracking: tracking({ total_completed_qty: 30, total_rejected_qty: 15, total_scrap_qty: 5 }) });
+
+  assert.deepEqual(merge([existing], [{ _id: 'a', glass_name: 'Bottle a', quantity: 50 }]).errors, []);
+  assert.deepEqual(
+    merge([existing], [{ _id: 'a', glass_name: 'Bottle a', quantity: 49 }]).errors.map(error => error.message),
+    ['Quantity cannot be reduced below the 50 already recorded or dispatched']
+  );
+});
+
+test('stage progress and dispatched units also set the floor', () => {
+  const staged = glassItem('a', { stages: [{ key: 'print', team: 'decoration', total_completed_qty: 60 }] });
+  const dispatched = glassItem('b', { dispatched_qty: 70 });
+
+  assert.match(merge([staged], [{ _id: 'a', glass_name: 'Bottle a', quantity: 59 }]).errors[0].message, /below the 60/);
+  assert.match(merge([dispatched], [{ _id: 'b', glass_name: 'Bottle b', quantity: 69 }]).errors[0].message, /below the 70/);
+});
+
+test('items left out are removed only when nothing was recorded against them', () => {
+  const untouched = glassItem('a');
+  const rejected = glassItem('b', { team_tracking: tracking({ total_rejected_qty: 3 }) });
+  const dispatched = glassItem('c', { dispatched_qty: 2 });
+
+  const { removed, errors } = merge([untouched, rejected, dispatched], []);
+
+  assert.deepEqual(removed.map(item => item.item_id), ['a', 'b', 'c']);
+  assert.deepEqual(errors.map(error => [error.item_id, error.message]), [
+    ['b', 'Item cannot be removed: 3 already recorded'],
+    ['c', 'Item cannot be removed: 2 already dispatched']
+  ]);
+});
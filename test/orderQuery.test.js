@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseListOptions, parseDateRange, buildListFilter, escapeRegex, paginationInfo } from '../utils/orderQuery.js';
+
+test('listings are unpaginated unless page or limit is sent', () => {
+  assert.equal(parseListOptions({}).paginated, false);
+  assert.equal(parseListOptions({ page: '2' }).paginated, true);
+  assert.equal(parseListOptions({ limit: '10' }).paginated, true);
+});
+
+test('page, limit and sort are parsed with defaults', () => {
+  const options = parseListOptions({ page: '3', limit: '20', sort: 'order_number', order: 'asc' });
+
+  assert.equal(options.page, 3);
+  assert.equal(options.limit, 20);
+  assert.deepEqual(options.sort, { order_number: 1, _id: 1 });
+  assert.deepEqual(parseListOptions({}).sort, { created_at: -1, _id: -1 });
+  assert.equal(parseListOptions({ sort: 'urgency' }).urgency, true);
+});
+
+test('invalid list parameters return an error', () => {
+  assert.match(parseListOptions({ page: '0' }).error, /page/);
+  assert.match(parseListOptions({ limit: '500' }).error, /limit/);
+  assert.match(parseListOptions({ sort: 'price' }).error, /sort/);
+  assert.match(parseListOptions({ order: 'up' }).error, /order/);
+  assert.match(parseListOptions({ from: 'yesterday' }).error, /dates/);
+});
+
+test('a date-only `to` covers the whole day', () => {
+  const { from, to } = parseDateRange({ from: '2024-05-01', to: '2024-05-01' });
+
+  assert.equal(from.toISOString(), '2024-05-01T00:00:00.000Z');
+  assert.equal(to.toISOString(), '2024-05-01T23:59:59.999Z');
+  assert.equal(parseDateRange({ to: '2024-05-01T10:00:00Z' }).to.toISOString(), '2024-05-01T10:00:00.000Z');
+});
+
+test('search text is escaped and the date range applies to created_at', () => {
+  const filter = buildListFilter({ search: 'a.b', from: new Date('2024-05-01'), to: null });
+
+  assert.equal(filter.$or[0].order_number.source, 'a\\.b');
+  assert.ok(filter.$or.some(condition => condition['order_details.caps.cap_name']));
+  assert.deepEqual(filter.created_at, { $gte: new Date('2024-05-01') });
+  assert.deepEqual(buildListFilter({}), {});
+  assert.equal(escapeRegex('(1+1)'), '\\(1\\+1\\)');
+});
+
+test('pagination info rounds the page count up', () => {
+  assert.deepEqual(paginationInfo({ page: 2, limit: 20 }, 41), { page: 2, limit: 20, total: 41, pages: 3 });
+});
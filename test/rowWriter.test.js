@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvValue } from '../utils/rowWriter.js';
+
+test('plain values are written as they are', () => {
+  assert.equal(csvValue('Bottle'), 'Bottle');
+  assert.equal(csvValue(12), '12');
+  assert.equal(csvValue(-5), '-5');
+  assert.equal(csvValue(null), '');
+  assert.equal(csvValue(undefined), '');
+  assert.equal(csvValue(new Date('2024-05-01T10:00:00Z')), '2024-05-01T10:00:00.000Z');
+});
+
+test('separators, quotes and line breaks are quoted', () => {
+  assert.equal(csvValue('a,b'), '"a,b"');
+  assert.equal(csvValue('say "hi"'), '"say ""hi"""');
+  assert.equal(csvValue('two\nlines'), '"two\nlines"');
+});
+
+test('text a spreadsheet would run as a formula is escaped', () => {
+  assert.equal(csvValue('=SUM(A1:A2)'), "'=SUM(A1:A2)");
+  assert.equal(csvValue('+1'), "'+1");
+  assert.equal(csvValue('-1'), "'-1");
+  assert.equal(csvValue('@cmd'), "'@cmd");
+  assert.equal(csvValue('\tcmd'), "'\tcmd");
+  assert.equal(csvValue('\rcmd'), `"'\rcmd"`);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { itemSlaStatus } from '../services/slaService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = Date.parse('2024-05-01T00:00:00Z');
+const dueIn = (hours) => new Date(now + hours * HOUR_MS);
+
+const item = (extra = {}) => ({ quantity: 100, team_tracking: { total_completed_qty: 0, status: 'Pending' }, ...extra });
+
+test('items without a deadline, or already finished, are on track', () => {
+  assert.equal(itemSlaStatus(item(), {}, 0, now), 'on_track');
+  assert.equal(itemSlaStatus(item({ team_tracking: { total_completed_qty: 100 } }), { due_date: dueIn(-1) }, 0, now), 'on_track');
+});
+
+test('an item past its deadline is overdue; its own due date wins over the order\'s', () => {
+  assert.equal(itemSlaStatus(item(), { due_date: dueIn(-1) }, 0, now), 'overdue');
+  assert.equal(itemSlaStatus(item({ due_date: dueIn(100) }), { due_date: dueIn(-1) }, 0, now), 'on_track');
+});
+
+test('with a production rate, the projected finish decides', () => {
+  assert.equal(itemSlaStatus(item(), { due_date: dueIn(10) }, 5, now), 'at_risk');
+  assert.equal(itemSlaStatus(item(), { due_date: dueIn(30) }, 5, now), 'on_track');
+});
+
+test('without a rate, items due within the at-risk window are at risk', () => {
+  assert.equal(itemSlaStatus(item(), { due_date: dueIn(12) }, 0, now), 'at_risk');
+  assert.equal(itemSlaStatus(item(), { due_date: dueIn(48) }, 0, now), 'on_track');
+});
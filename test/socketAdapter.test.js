@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate as nextTick } from 'timers/promises';
+import { createSharedAdapter, createStandInStore } from '../config/socketAdapter.js';
+
+// Records what an adapter emits to the sockets of its own process
+const fakeIO = () => {
+  const emitted = [];
+  return {
+    emitted,
+    local: {
+      to: (rooms) => ({ emit: (event, ...args) => emitted.push({ rooms, event, args }) })
+    }
+  };
+};
+
+// Two adapters on one backing store behave like two server processes sharing Redis
+const startProcesses = async () => {
+  const backing = { hashes: new Map(), listeners: new Map() };
+  const processes = [];
+  for (let i = 0; i < 2; i += 1) {
+    const adapter = createSharedAdapter(createStandInStore(backing), { prefix: 'test' });
+    const io = fakeIO();
+    await adapter.attach(io);
+    processes.push({ adapter, io });
+  }
+  return processes;
+};
+
+const stopProcesses = (processes) => Promise.all(processes.map(({ adapter }) => adapter.close()));
+
+test('a broadcast reaches the sockets of every process once', async () => {
+  const processes = await startProcesses();
+  const [first, second] = processes;
+  try {
+    await first.adapter.broadcast(['glass'], 'order-updated', [{ order_number: 'A1' }, { seq: 7 }]);
+    await nextTick();
+
+    const expected = [{ rooms: ['glass'], event: 'order-updated', args: [{ order_number: 'A1' }, { seq: 7 }] }];
+    assert.deepEqual(first.io.emitted, expected);
+    assert.deepEqual(second.io.emitted, expected);
+  } finally {
+    await stopProcesses(processes);
+  }
+});
+
+test('presence added on one process is listed on the other until removed', async () => {
+  const processes = await startProcesses();
+  const [first, second] = processes;
+  try {
+    await first.adapter.addSocket({ socketId: 's1', userId: 'u1', rooms: ['glass'] });
+    await second.adapter.addSocket({ socketId: 's2', userId: 'u2', rooms: ['dispatchers'] });
+
+    const listed = await second.adapter.listSockets();
+    assert.deepEqual(
+      listed.map(({ socketId, serverId }) => ({ socketId, serverId })).sort((a, b) => a.socketId.localeCompare(b.socketId)),
+      [
+        { socketId: 's1', serverId: first.adapter.serverId },
+        { socketId: 's2', serverId: second.adapter.serverId }
+      ]
+    );
+
+    await first.adapter.removeSocket('s1');
+    assert.deepEqual((await second.adapter.listSockets()).map(entry => entry.socketId), ['s2']);
+  } finally {
+    await stopProcesses(processes);
+  }
+});
+
+test('sockets of a process that closed are no longer listed', async () => {
+  const processes = await startProcesses();
+  const [first, second] = processes;
+  try {
+    await first.adapter.addSocket({ socketId: 's1', userId: 'u1', rooms: ['caps'] });
+    await first.adapter.close();
+
+    assert.deepEqual(await second.adapter.listSockets(), []);
+  } finally {
+    await second.adapter.close();
+  }
+});
+
+test('a server notice reaches the other processes but not the sender', async () => {
+  const processes = await startProcesses();
+  const [first, second] = processes;
+  try {
+    const heard = [];
+    first.adapter.onServerNotice('teams-changed', () => heard.push('first'));
+    second.adapter.onServerNotice('teams-changed', () => heard.push('second'));
+
+    await first.adapter.notifyServers('teams-changed');
+    await nextTick();
+
+    assert.deepEqual(heard, ['second']);
+  } finally {
+    await stopProcesses(processes);
+  }
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePayload, positiveInteger, requiredString } from '../utils/validation.js';
+
+const fieldsOf = (details) => details.map(detail => detail.field);
+
+test('a valid payload has no details', () => {
+  const rules = { name: requiredString({ max: 10 }), quantity: positiveInteger() };
+  assert.deepEqual(validatePayload({ name: 'cap', quantity: 3 }, rules), []);
+});
+
+test('missing, mistyped and out-of-range fields are reported by path', () => {
+  const rules = {
+    name: requiredString(),
+    quantity: positiveInteger({ required: true }),
+    priority: { type: 'string', enum: ['low', 'high'] },
+    code: { type: 'string', pattern: /^[A-Z]+$/ }
+  };
+  const details = validatePayload({ name: '  ', quantity: 0, priority: 'urgent', code: 'ab' }, rules);
+
+  assert.deepEqual(details, [
+    { field: 'name', message: 'name is required' },
+    { field: 'quantity', message: 'quantity must be at least 1' },
+    { field: 'priority', message: 'priority must be one of: low, high' },
+    { field: 'code', message: 'code has an invalid format' }
+  ]);
+});
+
+test('numeric strings are converted in place for integer and number rules', () => {
+  const payload = { quantity: '100', weight: ' 2.5 ', items: ['4'] };
+  const details = validatePayload(payload, {
+    quantity: positiveInteger(),
+    weight: { type: 'number' },
+    items: { type: 'array', items: positiveInteger() }
+  });
+
+  assert.deepEqual(details, []);
+  assert.deepEqual(payload, { quantity: 100, weight: 2.5, items: [4] });
+});
+
+test('strings that are not whole numbers still fail an integer rule', () => {
+  const payload = { a: 'x', b: '1.5' };
+  const details = validatePayload(payload, { a: positiveInteger(), b: positiveInteger() });
+
+  assert.deepEqual(fieldsOf(details), ['a', 'b']);
+  assert.equal(payload.a, 'x');
+});
+
+test('nested objects and arrays report their full path', () => {
+  const rules = {
+    order_details: {
+      type: 'object',
+      fields: { glass: { type: 'array', items: { type: 'object', fields: { quantity: positiveInteger({ required: true }) } } } }
+    }
+  };
+  const details = validatePayload({ order_details: { glass: [{ quantity: 1 }, {}] } }, rules);
+
+  assert.deepEqual(fieldsOf(details), ['order_details.glass[1].quantity']);
+});
+
+test('required, skip and check may depend on the parent object', () => {
+  const rules = {
+    customer_name: { type: 'string', required: body => !body.customer_id },
+    note: { type: 'string', skip: value => value === 'N/A', check: value => (value.length > 3 ? 'note is too long' : null) }
+  };
+
+  assert.deepEqual(validatePayload({ customer_id: '64b000000000000000000001' }, rules), []);
+  assert.deepEqual(fieldsOf(validatePayload({}, rules)), ['customer_name']);
+  assert.deepEqual(validatePayload({ customer_name: 'A', note: 'N/A' }, rules), []);
+  assert.deepEqual(validatePayload({ customer_name: 'A', note: 'long' }, rules), [{ field: 'note', message: 'note is too long' }]);
+});
+
+test('objectId and date rules reject malformed values', () => {
+  const rules = { id: { type: 'objectId' }, due: { type: 'date' } };
+
+  assert.deepEqual(validatePayload({ id: '64b000000000000000000001', due: '2024-05-01' }, rules), []);
+  assert.deepEqual(fieldsOf(validatePayload({ id: { $ne: null }, due: 'soon' }, rules)), ['id', 'due']);
+});
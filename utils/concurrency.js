@@ -0,0 +1,31 @@
+import { sendError } from './errors.js';
+
+// Order versions are Mongoose's __v, incremented on every write (optimisticConcurrency)
+
+// Reads the version the client last saw from If-Match (preferred) or a `version` body field.
+// Returns null when the client did not send one, NaN when it is malformed.
+export const getExpectedVersion = (req) => {
+  const header = req.headers['if-match'];
+  const raw = header !== undefined
+    ? header.replace(/^W\//, '').replace(/"/g, '').trim()
+    : req.body?.version;
+
+  if (raw === undefined || raw === null || raw === '' || raw === '*') return null;
+  const version = Number(raw);
+  return Number.isInteger(version) && version >= 0 ? version : NaN;
+};
+
+export const setVersionHeader = (res, order) => {
+  if (order?.__v !== undefined) {
+    res.set('ETag', `"${order.__v}"`);
+  }
+};
+
+export const sendVersionConflict = (res, currentOrder) => {
+  setVersionHeader(res, currentOrder);
+  return sendError(res, 409, 'Order was modified by someone else. Reload and try again.', {
+    code: 'VERSION_CONFLICT',
+    currentVersion: currentOrder.__v,
+    order: currentOrder
+  });
+};
@@ -0,0 +1,43 @@
+// Plain JSON copy so ObjectIds and Dates compare as strings
+const toPlain = (value) => (value === undefined || value === null ? value : JSON.parse(JSON.stringify(value)));
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Arrays of sub-documents are keyed by _id so reordering does not show up as a change
+const keyArray = (items) => {
+  const keyed = items.every(item => isObject(item) && item._id);
+  return Object.fromEntries(items.map((item, index) => [keyed ? item._id : index, item]));
+};
+
+const IGNORED_KEYS = ['__v', 'updatedAt'];
+
+const walk = (before, after, path, changes) => {
+  if (Array.isArray(before) || Array.isArray(after)) {
+    if (!Array.isArray(before) || !Array.isArray(after)) {
+      changes.push({ path, before, after });
+      return;
+    }
+    return walk(keyArray(before), keyArray(after), path, changes);
+  }
+
+  if (isObject(before) && isObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach(key => {
+      if (IGNORED_KEYS.includes(key)) return;
+      walk(before[key], after[key], path ? `${path}.${key}` : key, changes);
+    });
+    return;
+  }
+
+  // A field that is null on one side and missing on the other has not changed
+  if (JSON.stringify(before ?? null) !== JSON.stringify(after ?? null)) {
+    changes.push({ path, before: before ?? null, after: after ?? null });
+  }
+};
+
+// Flat list of { path, before, after } for every leaf that differs
+export const diffObjects = (before, after) => {
+  const changes = [];
+  walk(toPlain(before) ?? {}, toPlain(after) ?? {}, '', changes);
+  return changes;
+};
@@ -0,0 +1,42 @@
+// Every error response, REST or socket, has the shape
+// { success: false, error: { code, message, details } }. details is a list of
+// { field, message } when specific input fields are at fault.
+
+const CODES_BY_STATUS = {
+  400: 'VALIDATION_ERROR',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  500: 'INTERNAL_ERROR'
+};
+
+export const errorBody = (status, message, { code, details } = {}) => ({
+  success: false,
+  error: {
+    code: code || CODES_BY_STATUS[status] || 'ERROR',
+    message,
+    ...(details !== undefined && { details })
+  }
+});
+
+// Extra keys (e.g. the current order on a version conflict) are sent next to `error`
+export const sendError = (res, status, message, { code, details, ...extra } = {}) =>
+  res.status(status).json({ ...errorBody(status, message, { code, details }), ...extra });
+
+// Field details from a Mongoose ValidationError
+export const validationDetails = (error) =>
+  Object.values(error.errors || {}).map(({ path, message }) => ({ field: path, message }));
+
+// Maps errors thrown by Mongoose to a client error, anything else to a 500
+export const sendUnexpectedError = (res, error, duplicateMessage = 'A record with these details already exists') => {
+  if (error.name === 'ValidationError') {
+    return sendError(res, 400, 'Validation error', { details: validationDetails(error) });
+  } else if (error.name === 'CastError') {
+    return sendError(res, 400, 'Invalid ID format', { code: 'INVALID_ID', details: [{ field: error.path, message: error.message }] });
+  } else if (error.code === 11000) {
+    return sendError(res, 409, duplicateMessage, { code: 'DUPLICATE' });
+  }
+  return sendError(res, 500, error.message);
+};
@@ -0,0 +1,237 @@
+import { SECTIONS, teamForSection } from '../config/teams.js';
+import { diffObjects } from './diff.js';
+import { PRODUCTION_DONE_STATUSES } from '../config/orderStatus.js';
+import { rejectsCountTowardCompletion } from '../config/rejects.js';
+
+// Fields the dispatcher can never set directly on an item
+const PROTECTED_FIELDS = ['_id', 'team_tracking', 'workflow_id', 'stages', 'dispatched_qty', 'delivered_qty', 'sla_status'];
+
+const editableFields = (item) =>
+  Object.fromEntries(Object.entries(item).filter(([key]) => !PROTECTED_FIELDS.includes(key)));
+
+// Blank rows the order form sends for sections the dispatcher left empty
+export const isPlaceholderItem = (section, item, nameField) => {
+  if (!item?.[nameField] || item[nameField] === 'N/A') return true;
+  return section === 'caps' && (!item.neck_size || item.neck_size === '-');
+};
+
+// The item with this id in any section, with the section it belongs to
+export const findOrderItem = (orderDetails = {}, itemId) => {
+  for (const section of SECTIONS) {
+    const item = (orderDetails[section] || []).find(entry => entry._id.toString() === itemId.toString());
+    if (item) return { section, item };
+  }
+  return null;
+};
+
+// Progress entries that still count toward the item's total
+export const activeEntries = (item) =>
+  (item.team_tracking?.completed_entries || []).filter(entry => !entry.voided_at);
+
+export const entriesTotal = (item, field = 'qty_completed') =>
+  activeEntries(item).reduce((sum, entry) => sum + (entry[field] || 0), 0);
+
+// Quantity that counts toward finishing the item: good units, plus rejects and scrap
+// for teams configured to count them
+export const countedQty = (item, section) => {
+  const tracking = item.team_tracking || {};
+  const rejects = rejectsCountTowardCompletion(section)
+    ? (tracking.total_rejected_qty || 0) + (tracking.total_scrap_qty || 0)
+    : 0;
+  return (tracking.total_completed_qty || 0) + rejects;
+};
+
+export const itemTrackingStatus = (item, section) =>
+  countedQty(item, section) >= item.quantity ? 'Completed' : 'Pending';
+
+// Rebuilds the item's totals and status from its entries that have not been voided
+export const recomputeTracking = (item, section) => {
+  item.team_tracking.total_completed_qty = entriesTotal(item);
+  item.team_tracking.total_rejected_qty = entriesTotal(item, 'rejected_qty');
+  item.team_tracking.total_scrap_qty = entriesTotal(item, 'scrap_qty');
+  item.team_tracking.status = itemTrackingStatus(item, section);
+};
+
+// Quantity handed to workflow stage `index`: what the section team made for the first
+// stage, what the previous stage completed for the others
+export const stageInputQty = (item, index) =>
+  index === 0
+    ? item.team_tracking?.total_completed_qty || 0
+    : item.stages[index - 1].total_completed_qty || 0;
+
+// A stage is done once the stage before it is done and it has processed everything handed to it
+export const refreshStageStatuses = (item) => {
+  let previousDone = item.team_tracking?.status === 'Completed';
+  (item.stages || []).forEach((stage, index) => {
+    const done = previousDone && (stage.total_completed_qty || 0) >= stageInputQty(item, index);
+    stage.status = done ? 'Completed' : 'Pending';
+    previousDone = done;
+  });
+};
+
+// Units that have been through every stage and can be dispatched
+export const finishedQty = (item) =>
+  item.stages?.length > 0
+    ? item.stages[item.stages.length - 1].total_completed_qty || 0
+    : item.team_tracking?.total_completed_qty || 0;
+
+export const itemComplete = (item) =>
+  (item.team_tracking?.status === 'Completed' || item.team_tracking?.status === undefined) &&
+  (item.stages || []).every(stage => stage.status === 'Completed');
+
+// An order is complete once every item in every section has been through all its stages
+export const isOrderComplete = (orderDetails = {}) =>
+  SECTIONS.every(section => (orderDetails[section] || []).every(itemComplete));
+
+const allItems = (orderDetails = {}) => SECTIONS.flatMap(section => orderDetails[section] || []);
+
+// Status implied by production progress and shipments. Cancelled orders stay cancelled
+// until they are reopened by hand.
+export const deriveOrderStatus = (order) => {
+  if (order.order_status === 'Cancelled') return 'Cancelled';
+
+  const items = allItems(order.order_details);
+  if (!isOrderComplete(order.order_details)) {
+    const started = items.some(item => (item.team_tracking?.total_completed_qty || 0) > 0);
+    return started ? 'In Production' : 'Pending';
+  }
+
+  if (items.length > 0 && items.every(item => (item.delivered_qty || 0) >= item.quantity)) return 'Delivered';
+  if (items.length > 0 && items.every(item => (item.dispatched_qty || 0) >= item.quantity)) return 'Dispatched';
+  if (items.some(item => (item.dispatched_qty || 0) > 0)) return 'Partially Dispatched';
+  return 'Completed';
+};
+
+// Keeps completed_at in step with the status: set when production first finishes,
+// cleared when the order is reopened
+export const completedAtFor = (status, previousCompletedAt) =>
+  PRODUCTION_DONE_STATUSES.includes(status) ? (previousCompletedAt || new Date()) : null;
+
+// Completion percentage overall and per team, counting at most the ordered quantity per item
+export const orderCompletion = (orderDetails = {}) => {
+  const totals = { ordered: 0, completed: 0 };
+  const teams = {};
+
+  SECTIONS.forEach(section => {
+    (orderDetails[section] || []).forEach(item => {
+      const ordered = item.quantity || 0;
+      const completed = Math.min(countedQty(item, section), ordered);
+      const team = teamForSection(section);
+
+      teams[team] = teams[team] || { ordered: 0, completed: 0 };
+      teams[team].ordered += ordered;
+      teams[team].completed += completed;
+      totals.ordered += ordered;
+      totals.completed += completed;
+    });
+  });
+
+  const percent = ({ ordered, completed }) => (ordered > 0 ? Math.round((completed / ordered) * 1000) / 10 : 0);
+
+  return {
+    percent: percent(totals),
+    teams: Object.fromEntries(Object.entries(teams).map(([team, counts]) => [team, { ...counts, percent: percent(counts) }]))
+  };
+};
+
+// Units an edit must keep on the item: everything the section team recorded (good,
+// rejected and scrap), the furthest any stage got, and what has been dispatched
+const committedQty = (item) => {
+  const tracking = item.team_tracking || {};
+  const recorded = (tracking.total_completed_qty || 0) + (tracking.total_rejected_qty || 0) + (tracking.total_scrap_qty || 0);
+  const staged = Math.max(0, ...(item.stages || []).map(stage => stage.total_completed_qty || 0));
+  return Math.max(recorded, staged, item.dispatched_qty || 0);
+};
+
+// Merges incoming items into a section by _id, keeping each existing item's team_tracking.
+// Items without an _id are new; existing items missing from the payload are removed,
+// unless work has been recorded or units dispatched against them.
+export const mergeSectionItems = (section, existingItems = [], incomingItems = [], nameField) => {
+  const existingById = new Map(existingItems.map(item => [item._id.toString(), item]));
+  const matchedIds = new Set();
+  const errors = [];
+  const changed = [];
+
+  const items = incomingItems.map(incoming => {
+    const id = incoming._id?.toString();
+    if (!id) {
+      return {
+        ...editableFields(incoming),
+        team_tracking: { total_completed_qty: 0, total_rejected_qty: 0, total_scrap_qty: 0, completed_entries: [], status: 'Pending' }
+      };
+    }
+
+    const existing = existingById.get(id);
+    if (!existing) {
+      errors.push({ section, item_id: id, message: 'Item does not belong to this order' });
+      return null;
+    }
+    matchedIds.add(id);
+
+    const merged = { ...existing, ...editableFields(incoming), _id: existing._id, team_tracking: existing.team_tracking };
+    const floor = committedQty(existing);
+
+    if (merged.quantity < floor) {
+      errors.push({
+        section,
+        item_id: id,
+        message: `Quantity cannot be reduced below the ${floor} already recorded or dispatched`
+      });
+    }
+
+    if (merged.team_tracking) {
+      merged.team_tracking = { ...merged.team_tracking, status: itemTrackingStatus(merged, section) };
+    }
+    if (merged.stages) {
+      merged.stages = merged.stages.map(stage => ({ ...stage }));
+      refreshStageStatuses(merged);
+    }
+
+    const itemChanges = diffObjects(editableFields(existing), editableFields(merged));
+    if (itemChanges.length > 0) {
+      changed.push({ section, team: teamForSection(section), item_id: id, name: merged[nameField], changes: itemChanges });
+    }
+
+    return merged;
+  });
+
+  const removed = existingItems
+    .filter(item => !matchedIds.has(item._id.toString()))
+    .map(item => ({
+      section,
+      team: teamForSection(section),
+      item_id: item._id.toString(),
+      name: item[nameField],
+      completed_qty: item.team_tracking?.total_completed_qty || 0,
+      dispatched_qty: item.dispatched_qty || 0,
+      committed_qty: committedQty(item)
+    }));
+
+  removed
+    .filter(item => item.committed_qty > 0)
+    .forEach(item => {
+      errors.push({
+        section,
+        item_id: item.item_id,
+        message: item.dispatched_qty > 0
+          ? `Item cannot be removed: ${item.dispatched_qty} already dispatched`
+          : `Item cannot be removed: ${item.committed_qty} already recorded`
+      });
+    });
+
+  return { items, changed, removed, errors };
+};
+
+// Items present after the update that were not there before
+export const findAddedItems = (section, existingItems = [], updatedItems = [], nameField) => {
+  const existingIds = new Set(existingItems.map(item => item._id.toString()));
+  return updatedItems
+    .filter(item => !existingIds.has(item._id.toString()))
+    .map(item => ({
+      section,
+      team: teamForSection(section),
+      item_id: item._id.toString(),
+      name: item[nameField],
+      quantity: item.quantity
+    }));
+};
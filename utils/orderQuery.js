@@ -0,0 +1,148 @@
+import { PRIORITIES } from '../config/orderStatus.js';
+import { SECTIONS, ITEM_NAME_FIELDS } from '../config/teams.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const SORT_FIELDS = ['created_at', 'order_number', 'urgency'];
+
+// Fields matched by the ?search= text filter, including every section's item name
+const searchFields = () => [
+  'order_number',
+  'customer_name',
+  'dispatcher_name',
+  'order_details.glass.decoration_no',
+  ...SECTIONS.map(section => `order_details.${section}.${ITEM_NAME_FIELDS[section]}`)
+];
+
+// Most urgent first: highest priority, then earliest due date (orders without one last)
+const URGENCY_SORT = { _priority_rank: -1, _due_sort: 1, created_at: 1, _id: 1 };
+
+export const URGENCY_FIELDS = {
+  _priority_rank: { $indexOfArray: [PRIORITIES, { $ifNull: ['$priority', 'normal'] }] },
+  _due_sort: { $ifNull: ['$due_date', new Date(8640000000000000)] }
+};
+
+export const LIST_PROJECTION = {
+  order_number: 1,
+  dispatcher_name: 1,
+  customer_name: 1,
+  customer_id: 1,
+  created_at: 1,
+  createdAt: 1,
+  order_status: 1,
+  due_date: 1,
+  priority: 1,
+  order_details: 1,
+  __v: 1
+};
+
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Parses ?from and ?to; returns { error } when either is not a valid date.
+// A date-only `to` covers the whole of that day.
+export const parseDateRange = (query = {}) => {
+  const from = parseDate(query.from);
+  let to = parseDate(query.to);
+  if (to && DATE_ONLY.test(query.to.toString().trim())) {
+    to = new Date(to.getTime() + DAY_MS - 1);
+  }
+  if (from === undefined || to === undefined) {
+    return { error: 'from and to must be valid dates' };
+  }
+  return { from, to };
+};
+
+// Parses ?page, ?limit, ?sort, ?order, ?search, ?from, ?to.
+// Returns { error } when a parameter is invalid. `paginated` is false when neither
+// page nor limit was sent, for clients that still expect the whole list.
+export const parseListOptions = (query = {}, defaultSort = 'created_at') => {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+
+  const sortField = query.sort || defaultSort;
+  if (!SORT_FIELDS.includes(sortField)) {
+    return { error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+  }
+  const direction = (query.order || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(direction)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const range = parseDateRange(query);
+  if (range.error) return range;
+
+  return {
+    page,
+    limit,
+    paginated: query.page !== undefined || query.limit !== undefined,
+    sort: sortField === 'urgency'
+      ? URGENCY_SORT
+      : { [sortField]: direction === 'asc' ? 1 : -1, _id: direction === 'asc' ? 1 : -1 },
+    urgency: sortField === 'urgency',
+    search: query.search?.toString().trim() || null,
+    ...range
+  };
+};
+
+// Search and date-range conditions shared by every order listing
+export const buildListFilter = ({ search, from, to }) => {
+  const filter = {};
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    filter.$or = searchFields().map(field => ({ [field]: pattern }));
+  }
+
+  if (from || to) {
+    filter.created_at = {};
+    if (from) filter.created_at.$gte = from;
+    if (to) filter.created_at.$lte = to;
+  }
+
+  return filter;
+};
+
+// True for an item the team still has to finish, mirroring the old in-memory check
+const itemIncomplete = {
+  $and: [
+    { $ne: ['$$item.team_tracking.status', 'Completed'] },
+    { $lt: [{ $ifNull: ['$$item.team_tracking.total_completed_qty', 0] }, '$$item.quantity'] }
+  ]
+};
+
+// Live orders have at least one unfinished item in the section, past orders have none
+export const sectionCompletionFilter = (section, orderType) => {
+  const anyIncomplete = {
+    $anyElementTrue: [{
+      $map: { input: { $ifNull: [`$order_details.${section}`, []] }, as: 'item', in: itemIncomplete }
+    }]
+  };
+
+  return {
+    [`order_details.${section}.0`]: { $exists: true },
+    $expr: orderType === 'liveOrders' ? anyIncomplete : { $not: [anyIncomplete] }
+  };
+};
+
+export const paginationInfo = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit)
+});
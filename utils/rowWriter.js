@@ -0,0 +1,90 @@
+import ExcelJS from 'exceljs';
+
+// Text a spreadsheet would run as a formula is prefixed with ' so it opens as plain text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+export const csvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Stops the export when the client has gone away instead of writing into a closed socket
+const ensureOpen = (res) => {
+  if (res.destroyed || res.writableEnded) {
+    throw new Error('Client closed the connection');
+  }
+};
+
+// Resolves once the response can take more data; rejects if it closes or fails first
+const waitForDrain = (res) => new Promise((resolve, reject) => {
+  const settle = (error) => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    res.off('error', settle);
+    if (error) reject(error);
+    else resolve();
+  };
+  const onDrain = () => settle();
+  const onClose = () => settle(new Error('Client closed the connection'));
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+  res.once('error', settle);
+});
+
+const csvWriter = (res, columns) => {
+  const writeLine = async (values) => {
+    ensureOpen(res);
+    if (!res.write(values.map(csvValue).join(',') + '\r\n')) {
+      await waitForDrain(res);
+    }
+  };
+
+  let headerWritten = false;
+  return {
+    async write(row) {
+      if (!headerWritten) {
+        headerWritten = true;
+        await writeLine(columns.map(column => column.header));
+      }
+      await writeLine(columns.map(column => row[column.key]));
+    },
+    async end() {
+      if (!headerWritten) await writeLine(columns.map(column => column.header));
+      res.end();
+    }
+  };
+};
+
+const xlsxWriter = (res, columns, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(({ header, key }) => ({ header, key, width: Math.max(header.length + 2, 14) }));
+
+  return {
+    async write(row) {
+      ensureOpen(res);
+      sheet.addRow(row).commit();
+    },
+    async end() {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Sets download headers and returns a { write(row), end() } writer streaming to the response
+export const createRowWriter = (res, { format, filename, columns, sheetName = 'Sheet1' }) => {
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+    return xlsxWriter(res, columns, sheetName);
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+  return csvWriter(res, columns);
+};
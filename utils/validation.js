@@ -0,0 +1,116 @@
+// Small declarative checks shared by the REST routes and socket events.
+//
+// A rule is { type, required, min, max, enum, pattern, items, fields, check, skip } or a
+// function returning one (for rules that depend on the current teams). `fields` maps
+// keys of an object to rules, `items` is the rule for every array element and
+// `check(value, parent)` returns a message for anything the other options cannot express.
+// `required` may be a function of the parent object; `skip(value)` leaves a value unchecked.
+// Numeric strings from form inputs are converted in place for integer and number rules,
+// as the Number schema type used to cast them.
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  objectId: value => typeof value === 'string' && OBJECT_ID.test(value),
+  date: value => (typeof value === 'string' || value instanceof Date) && !Number.isNaN(new Date(value).getTime()),
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  objectId: 'a valid id',
+  date: 'a valid date',
+  array: 'a list',
+  object: 'an object'
+};
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+const resolveRule = (rule) => (typeof rule === 'function' ? rule() : rule);
+
+const NUMERIC = /^\s*-?\d+(\.\d+)?\s*$/;
+
+const coerce = (value, rule) =>
+  (rule.type === 'integer' || rule.type === 'number') && typeof value === 'string' && NUMERIC.test(value)
+    ? Number(value)
+    : value;
+
+const checkValue = (value, ruleOrFactory, path, parent, details) => {
+  const rule = resolveRule(ruleOrFactory);
+  const fail = (message) => details.push({ field: path, message });
+
+  if (isEmpty(value)) {
+    const required = typeof rule.required === 'function' ? rule.required(parent || {}) : rule.required;
+    if (required) fail(`${path} is required`);
+    return;
+  }
+  if (rule.skip?.(value)) return;
+  if (rule.type && !TYPE_CHECKS[rule.type](value)) {
+    fail(`${path} must be ${TYPE_NAMES[rule.type]}`);
+    return;
+  }
+
+  const size = rule.type === 'array' || rule.type === 'string' ? value.length : value;
+  const unit = rule.type === 'array' ? ' item(s)' : rule.type === 'string' ? ' characters' : '';
+  if (rule.min !== undefined && size < rule.min) {
+    fail(`${path} must be at least ${rule.min}${unit}`);
+    return;
+  }
+  if (rule.max !== undefined && size > rule.max) {
+    fail(`${path} must be at most ${rule.max}${unit}`);
+    return;
+  }
+
+  const allowed = typeof rule.enum === 'function' ? rule.enum() : rule.enum;
+  if (allowed && !allowed.includes(value)) {
+    fail(`${path} must be one of: ${allowed.join(', ')}`);
+    return;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    fail(`${path} has an invalid format`);
+    return;
+  }
+
+  if (rule.items) {
+    value.forEach((item, index) => {
+      value[index] = coerce(item, resolveRule(rule.items));
+      checkValue(value[index], rule.items, `${path}[${index}]`, value, details);
+    });
+  }
+  if (rule.fields) {
+    checkFields(value, typeof rule.fields === 'function' ? rule.fields() : rule.fields, path, details);
+  }
+
+  const message = rule.check?.(value, parent);
+  if (message) fail(message);
+};
+
+const checkFields = (object, fields, path, details) => {
+  Object.entries(fields).forEach(([key, rule]) => {
+    const value = coerce(object?.[key], resolveRule(rule));
+    if (object && value !== object[key]) object[key] = value;
+    checkValue(value, rule, joinPath(path, key), object, details);
+  });
+};
+
+// Returns a list of { field, message }; empty when the payload is valid
+export const validatePayload = (payload, fields, path = '') => {
+  const details = [];
+  checkFields(payload || {}, fields, path, details);
+  return details;
+};
+
+// Common rules
+export const positiveInteger = (extra = {}) => ({ type: 'integer', min: 1, ...extra });
+export const nonNegativeInteger = (extra = {}) => ({ type: 'integer', min: 0, ...extra });
+export const requiredString = (extra = {}) => ({ type: 'string', required: true, ...extra });
@@ -0,0 +1,28 @@
+import { requiredString } from '../utils/validation.js';
+
+export const loginRules = {
+  body: {
+    username: requiredString({ max: 100 }),
+    password: requiredString({ max: 200 })
+  }
+};
+
+export const createUserRules = {
+  body: {
+    username: requiredString({ max: 100 }),
+    name: requiredString({ max: 200 }),
+    password: requiredString({ max: 200 }),
+    role: requiredString(),
+    team: { type: 'string' }
+  }
+};
+
+export const updateUserRules = {
+  params: { id: { type: 'objectId', required: true } },
+  body: {
+    name: { type: 'string', max: 200 },
+    password: { type: 'string', max: 200 },
+    role: { type: 'string' },
+    team: { type: 'string' }
+  }
+};
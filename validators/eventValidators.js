@@ -0,0 +1,11 @@
+import { nonNegativeInteger } from '../utils/validation.js';
+
+const seq = nonNegativeInteger({ required: true });
+
+export const eventAckPayload = {
+  seqs: { type: 'array', required: true, min: 1, max: 500, items: seq }
+};
+
+export const replayPayload = {
+  since: seq
+};
@@ -0,0 +1,19 @@
+import { NOTIFICATION_TYPES } from '../models/Notification.js';
+
+export const notificationIdRules = {
+  params: { id: { type: 'objectId', required: true } }
+};
+
+export const preferencesRules = {
+  body: {
+    types: {
+      type: 'object',
+      required: true,
+      fields: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, { type: 'boolean' }])),
+      check: types => {
+        const unknown = Object.keys(types).filter(type => !NOTIFICATION_TYPES.includes(type));
+        return unknown.length > 0 ? `Unknown notification type(s): ${unknown.join(', ')}` : null;
+      }
+    }
+  }
+};
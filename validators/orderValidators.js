@@ -0,0 +1,146 @@
+import { SECTIONS, ACTIVE_SECTIONS, ITEM_NAME_FIELDS } from '../config/teams.js';
+import { PRIORITIES } from '../config/orderStatus.js';
+import { REJECT_REASONS } from '../config/rejects.js';
+import { isPlaceholderItem } from '../utils/orderItems.js';
+import { positiveInteger, nonNegativeInteger, requiredString } from '../utils/validation.js';
+
+const itemRule = (section, { editing = false } = {}) => ({
+  type: 'object',
+  // Edits may carry the form's blank rows; they are dropped before the merge
+  ...(editing && { skip: item => isPlaceholderItem(section, item, ITEM_NAME_FIELDS[section]) }),
+  fields: {
+    ...(editing && { _id: { type: 'objectId' } }),
+    [ITEM_NAME_FIELDS[section]]: requiredString({ max: 200 }),
+    // Items saved before quantity was required may still be sent back without one
+    quantity: positiveInteger({ required: item => !editing || !item._id }),
+    product_id: { type: 'objectId' },
+    due_date: { type: 'date' }
+  },
+  // Items already on the order stay editable after their team is deactivated
+  check: item => (ACTIVE_SECTIONS.includes(section) || item._id ? null : `The ${section} team is no longer active`)
+});
+
+const orderDetailsRule = (options) => ({
+  type: 'object',
+  fields: () => Object.fromEntries(SECTIONS.map(section => [section, { type: 'array', items: itemRule(section, options) }])),
+  check: details => (SECTIONS.some(section => details[section]?.length > 0)
+    ? null
+    : `order_details must contain at least one item (${ACTIVE_SECTIONS.join(', ')})`)
+});
+
+const orderFields = (options) => ({
+  order_number: requiredString({ max: 100 }),
+  dispatcher_name: requiredString({ max: 200 }),
+  // A customer record can stand in for the free-text name
+  customer_name: { type: 'string', max: 200, required: body => !body.customer_id },
+  customer_id: { type: 'objectId' },
+  due_date: { type: 'date' },
+  priority: { type: 'string', enum: PRIORITIES },
+  order_details: { ...orderDetailsRule(options), required: !options.editing }
+});
+
+const orderNumberParams = { orderNumber: requiredString() };
+
+const entryParams = { ...orderNumberParams, entryId: { type: 'objectId', required: true } };
+
+const reason = (required) => ({ type: 'string', required, max: 500 });
+
+export const createOrderRules = { body: orderFields({ editing: false }) };
+
+export const updateOrderRules = {
+  params: { id: requiredString() },
+  body: orderFields({ editing: true })
+};
+
+export const progressRules = {
+  body: {
+    order_number: requiredString(),
+    team_type: { type: 'string', required: true, enum: () => SECTIONS },
+    updates: {
+      type: 'array',
+      required: true,
+      min: 1,
+      items: {
+        type: 'object',
+        fields: {
+          item_id: { type: 'objectId', required: true },
+          qty_completed: nonNegativeInteger(),
+          rejected_qty: nonNegativeInteger(),
+          scrap_qty: nonNegativeInteger(),
+          // Rejected or scrapped units need a reason
+          reason_code: {
+            type: 'string',
+            enum: REJECT_REASONS,
+            required: update => (update.rejected_qty || 0) + (update.scrap_qty || 0) > 0
+          }
+        },
+        check: update => ((update.qty_completed || 0) + (update.rejected_qty || 0) + (update.scrap_qty || 0) > 0
+          ? null
+          : 'Each update must record at least one unit')
+      }
+    }
+  }
+};
+
+export const stageProgressRules = {
+  body: {
+    order_number: requiredString(),
+    stage: requiredString(),
+    updates: {
+      type: 'array',
+      required: true,
+      min: 1,
+      items: {
+        type: 'object',
+        fields: {
+          item_id: { type: 'objectId', required: true },
+          qty_completed: positiveInteger({ required: true })
+        }
+      }
+    }
+  }
+};
+
+export const correctEntryRules = {
+  params: entryParams,
+  body: { qty_completed: positiveInteger({ required: true }), reason: reason(true) }
+};
+
+export const voidEntryRules = {
+  params: entryParams,
+  body: { reason: reason(true) }
+};
+
+export const statusChangeRules = {
+  params: orderNumberParams,
+  body: { reason: reason(false) }
+};
+
+export const orderNumberRules = { params: orderNumberParams };
+
+// Legacy socket events identify an order by _id or order_number
+export const orderReferencePayload = {
+  order: {
+    type: 'object',
+    required: true,
+    fields: { _id: { type: 'objectId' }, order_number: { type: 'string' } },
+    check: order => (order._id || order.order_number ? null : 'order must have an _id or order_number')
+  }
+};
+
+export const commentListRules = {
+  params: orderNumberParams,
+  query: { item_id: { type: 'string', check: value => (value === 'none' || /^[0-9a-fA-F]{24}$/.test(value) ? null : 'item_id must be a valid id or none') } }
+};
+
+export const addCommentRules = {
+  params: orderNumberParams,
+  body: {
+    body: requiredString({ max: 2000 }),
+    item_id: { type: 'objectId' }
+  }
+};
+
+export const deleteCommentRules = {
+  params: { ...orderNumberParams, commentId: { type: 'objectId', required: true } }
+};
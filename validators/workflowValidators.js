@@ -0,0 +1,28 @@
+import { SECTIONS, ALL_TEAMS } from '../config/teams.js';
+import { requiredString } from '../utils/validation.js';
+
+const stageRule = {
+  type: 'object',
+  fields: {
+    key: requiredString({ max: 100 }),
+    name: requiredString({ max: 200 }),
+    team: { type: 'string', required: true, enum: () => ALL_TEAMS }
+  }
+};
+
+const workflowFields = ({ editing }) => ({
+  name: requiredString({ max: 200, required: !editing }),
+  family: { type: 'string', required: !editing, enum: () => SECTIONS },
+  decoration_type: { type: 'string', max: 100 },
+  stages: { type: 'array', required: !editing, min: 1, items: stageRule },
+  active: { type: 'boolean' }
+});
+
+const workflowIdParams = { id: { type: 'objectId', required: true } };
+
+export const createWorkflowRules = { body: workflowFields({ editing: false }) };
+
+export const updateWorkflowRules = {
+  params: workflowIdParams,
+  body: workflowFields({ editing: true })
+};